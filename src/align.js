@@ -0,0 +1,278 @@
+/**
+ * Global alignment of subtitle tracks for paired mode.
+ *
+ * The tracks are aligned with dynamic programming over both cue lists, so the
+ * result is the best monotonic alignment for the whole episode rather than a
+ * sequence of local greedy choices. A cue of one track may be grouped with
+ * several consecutive cues of the other (1:N and N:1), and cues without a
+ * counterpart are kept as unmatched groups. More than two tracks are aligned
+ * by pairing each of them with one reference track.
+ */
+
+const DEFAULT_ALIGN_OPTIONS = {
+  // Longest run of cues on one side that can share a single cue on the other
+  maxGroupSize: 3,
+  // Timing slack (ms) added around first-track cues when measuring overlap
+  tolerance: 250,
+  // A 1:1 match must overlap at least this fraction of the shorter cue
+  minOverlap: 0.3,
+  // In a 1:N or N:1 group, each of the N cues must lie at least this much
+  // inside the single cue
+  minCoverage: 0.5,
+  // Score (ms) given up per extra cue in a group, so 1:1 wins ties
+  groupPenalty: 1,
+};
+
+/**
+ * Length (ms) of the overlap between two intervals
+ * @param {Object} a - Interval with start and end in milliseconds
+ * @param {Object} b - Interval with start and end in milliseconds
+ * @param {number} [padding] - Slack added on both sides of a
+ * @returns {number} - The overlap, 0 when they do not overlap
+ */
+function overlap(a, b, padding = 0) {
+  return Math.max(
+    0,
+    Math.min(a.end + padding, b.end) - Math.max(a.start - padding, b.start)
+  );
+}
+
+/**
+ * Get the interval covered by a list of cues
+ * @param {Array} cues - Subtitle objects
+ * @returns {Object} - { start, end } in milliseconds
+ */
+function span(cues) {
+  return {
+    start: Math.min(...cues.map((cue) => cue.start)),
+    end: Math.max(...cues.map((cue) => cue.end)),
+  };
+}
+
+/**
+ * Score matching one cue with a run of cues from the other track
+ * @param {Object} single - The cue on the "one" side, from the first track when firstIsSingle
+ * @param {Array} many - The run of cues on the other side
+ * @param {boolean} firstIsSingle - Whether single comes from the first track
+ * @param {Object} options - Alignment options
+ * @returns {number} - The score, or -Infinity when the cues should not be grouped
+ */
+function groupScore(single, many, firstIsSingle, options) {
+  const { tolerance, minOverlap, minCoverage, groupPenalty } = options;
+  let score = 0;
+
+  for (const cue of many) {
+    // Tolerance is always applied around the first track's cue
+    const amount = firstIsSingle
+      ? overlap(single, cue, tolerance)
+      : overlap(cue, single, tolerance);
+    if (amount <= 0) return -Infinity;
+
+    const duration = cue.end - cue.start;
+    if (many.length === 1) {
+      const shorter = Math.min(duration, single.end - single.start);
+      if (amount < minOverlap * shorter) return -Infinity;
+    } else if (amount < minCoverage * duration) {
+      return -Infinity;
+    }
+
+    score += amount;
+  }
+
+  return score - groupPenalty * (many.length - 1);
+}
+
+/**
+ * Build an aligned group with its timing, text and confidence
+ * @param {Array} subtitles1 - Cues of the first track in the group
+ * @param {Array} subtitles2 - Cues of the second track in the group
+ * @returns {Object} - The group
+ */
+function createGroup(subtitles1, subtitles2) {
+  const timing = span(subtitles1.length ? subtitles1 : subtitles2);
+  let confidence = 0;
+
+  if (subtitles1.length && subtitles2.length) {
+    const span1 = span(subtitles1);
+    const span2 = span(subtitles2);
+    const union =
+      Math.max(span1.end, span2.end) - Math.min(span1.start, span2.start);
+    confidence = union > 0 ? overlap(span1, span2) / union : 1;
+  }
+
+  return {
+    subtitles1,
+    subtitles2,
+    start: timing.start,
+    end: timing.end,
+    text1: subtitles1.map((cue) => cue.text).join("\n"),
+    text2: subtitles2.map((cue) => cue.text).join("\n"),
+    confidence,
+  };
+}
+
+/**
+ * Align two subtitle tracks by temporal overlap
+ * @param {Array} subtitles1 - Subtitles of the first (reference) track
+ * @param {Array} subtitles2 - Subtitles of the second track
+ * @param {Object} [options] - Overrides for DEFAULT_ALIGN_OPTIONS
+ * @returns {Array} - Groups in time order: { subtitles1, subtitles2, start, end, text1, text2, confidence }.
+ *   Timing comes from the first track, or from the second for unmatched second-track cues.
+ */
+function alignSubtitles(subtitles1, subtitles2, options = {}) {
+  const settings = { ...DEFAULT_ALIGN_OPTIONS, ...options };
+  const a = [...subtitles1].sort((x, y) => x.start - y.start);
+  const b = [...subtitles2].sort((x, y) => x.start - y.start);
+  const n = a.length;
+  const m = b.length;
+  const width = m + 1;
+  const maxGroup = settings.maxGroupSize;
+
+  // best[i * width + j] is the best score aligning a[0..i) with b[0..j);
+  // step1 and step2 record how many cues of each track the last group took
+  const best = new Float64Array((n + 1) * width).fill(-Infinity);
+  const step1 = new Uint32Array((n + 1) * width);
+  const step2 = new Uint32Array((n + 1) * width);
+  best[0] = 0;
+
+  const relax = (i, j, di, dj, score) => {
+    const target = (i + di) * width + (j + dj);
+    const value = best[i * width + j] + score;
+    if (value > best[target]) {
+      best[target] = value;
+      step1[target] = di;
+      step2[target] = dj;
+    }
+  };
+
+  for (let i = 0; i <= n; i++) {
+    for (let j = 0; j <= m; j++) {
+      if (best[i * width + j] === -Infinity) continue;
+
+      if (i < n && j < m) {
+        // One first-track cue with 1..maxGroup second-track cues
+        for (let k = 1; k <= maxGroup && j + k <= m; k++) {
+          const score = groupScore(a[i], b.slice(j, j + k), true, settings);
+          if (score > -Infinity) relax(i, j, 1, k, score);
+        }
+        // 2..maxGroup first-track cues with one second-track cue
+        for (let k = 2; k <= maxGroup && i + k <= n; k++) {
+          const score = groupScore(b[j], a.slice(i, i + k), false, settings);
+          if (score > -Infinity) relax(i, j, k, 1, score);
+        }
+      }
+
+      // Leave a cue unmatched
+      if (i < n) relax(i, j, 1, 0, 0);
+      if (j < m) relax(i, j, 0, 1, 0);
+    }
+  }
+
+  // Walk back from the end to recover the groups
+  const groups = [];
+  let i = n;
+  let j = m;
+
+  while (i > 0 || j > 0) {
+    const di = step1[i * width + j];
+    const dj = step2[i * width + j];
+    groups.push(createGroup(a.slice(i - di, i), b.slice(j - dj, j)));
+    i -= di;
+    j -= dj;
+  }
+
+  return groups.reverse().sort((x, y) => x.start - y.start);
+}
+
+/**
+ * Align any number of subtitle tracks against a reference track
+ * Every other track is aligned with the reference as in alignSubtitles.
+ * Reference cues that any track grouped together form one group, so each
+ * group holds the matching cues of every track. Cues of the other tracks
+ * without a counterpart in the reference are kept as their own groups.
+ * @param {Array} tracks - Array of subtitle arrays, one per track
+ * @param {Object} [options] - Overrides for DEFAULT_ALIGN_OPTIONS, plus reference
+ * @param {number} [options.reference] - Index of the reference track (default: 0)
+ * @returns {Array} - Groups in time order: { subtitles, texts, start, end }, where
+ *   subtitles and texts hold one entry per track. Timing comes from the
+ *   reference track, or from the other track for its unmatched cues.
+ */
+function alignTracks(tracks, options = {}) {
+  const { reference = 0 } = options;
+  if (!tracks[reference]) {
+    throw new Error(`Invalid reference track ${reference + 1}`);
+  }
+
+  const sortedReference = [...tracks[reference]].sort(
+    (x, y) => x.start - y.start
+  );
+  const position = new Map(sortedReference.map((cue, i) => [cue, i]));
+
+  // joined[i] is true when reference cues i and i + 1 share a group
+  const joined = new Array(sortedReference.length).fill(false);
+  const matches = tracks.map(() => new Map());
+  const unmatched = [];
+
+  tracks.forEach((subtitles, k) => {
+    if (k === reference) return;
+
+    alignSubtitles(sortedReference, subtitles, options).forEach((group) => {
+      if (!group.subtitles1.length) {
+        unmatched.push({ track: k, cues: group.subtitles2 });
+        return;
+      }
+
+      const first = position.get(group.subtitles1[0]);
+      for (let i = first; i < first + group.subtitles1.length - 1; i++) {
+        joined[i] = true;
+      }
+      if (group.subtitles2.length) {
+        matches[k].set(first, group.subtitles2);
+      }
+    });
+  });
+
+  const createTrackGroup = (subtitles) => {
+    const timing = span(subtitles.find((cues) => cues.length));
+    return {
+      subtitles,
+      texts: subtitles.map((cues) => cues.map((cue) => cue.text).join("\n")),
+      start: timing.start,
+      end: timing.end,
+    };
+  };
+
+  // Walk the reference cues, cutting a group wherever no track joins them
+  const groups = [];
+  let first = 0;
+  sortedReference.forEach((cue, i) => {
+    if (joined[i]) return;
+
+    const subtitles = tracks.map((_, k) => {
+      if (k === reference) return sortedReference.slice(first, i + 1);
+
+      const cues = [];
+      for (let j = first; j <= i; j++) {
+        if (matches[k].has(j)) cues.push(...matches[k].get(j));
+      }
+      return cues;
+    });
+    groups.push(createTrackGroup(subtitles));
+    first = i + 1;
+  });
+
+  unmatched.forEach(({ track, cues }) => {
+    groups.push(
+      createTrackGroup(tracks.map((_, k) => (k === track ? cues : [])))
+    );
+  });
+
+  return groups.sort((x, y) => x.start - y.start);
+}
+
+module.exports = {
+  DEFAULT_ALIGN_OPTIONS,
+  alignSubtitles,
+  alignTracks,
+  overlap,
+};
@@ -0,0 +1,252 @@
+/**
+ * Advanced SubStation Alpha (ASS) output helpers.
+ */
+
+// Numpad-style ASS alignment for each on-screen placement (bottom/middle/top centre)
+const ALIGNMENTS = {
+  bottom: 2,
+  middle: 5,
+  top: 8,
+};
+
+const NAMED_COLORS = {
+  white: "FFFFFF",
+  black: "000000",
+  yellow: "FFFF00",
+  red: "FF0000",
+  green: "00FF00",
+  lime: "00FF00",
+  blue: "0000FF",
+  cyan: "00FFFF",
+  aqua: "00FFFF",
+  magenta: "FF00FF",
+  fuchsia: "FF00FF",
+  gray: "808080",
+  grey: "808080",
+  silver: "C0C0C0",
+  orange: "FFA500",
+};
+
+// Default style for a single track, and for each track of combined output:
+// the first language at the bottom in white, the second smaller above it in
+// yellow and a third above that in cyan
+const DEFAULT_STYLE = {
+  font: "Arial",
+  size: 56,
+  color: "white",
+  outlineColor: "black",
+  outline: 2,
+  shadow: 0,
+  position: "bottom",
+  margin: 40,
+};
+const DEFAULT_TRACK_STYLES = [
+  DEFAULT_STYLE,
+  { ...DEFAULT_STYLE, size: 44, color: "yellow", margin: 120 },
+  { ...DEFAULT_STYLE, size: 44, color: "cyan", margin: 190 },
+];
+
+/**
+ * Get the default style of a track in combined output
+ * Tracks beyond the predefined ones are stacked further up in the last style.
+ * @param {number} index - Zero-based track index
+ * @returns {Object} - The style
+ */
+function defaultTrackStyle(index) {
+  const last = DEFAULT_TRACK_STYLES.length - 1;
+  if (index <= last) return DEFAULT_TRACK_STYLES[index];
+
+  const style = DEFAULT_TRACK_STYLES[last];
+  return { ...style, margin: style.margin + (index - last) * 70 };
+}
+
+/**
+ * Convert a colour name or #RRGGBB value to an ASS colour (&HAABBGGRR)
+ * @param {string} color - The colour, e.g. "yellow" or "#FFD700"
+ * @returns {string} - The ASS colour, e.g. "&H0000FFFF"
+ */
+function toASSColor(color) {
+  const value = String(color).trim().toLowerCase();
+  const hex = NAMED_COLORS[value] || value.replace(/^#/, "");
+
+  if (!/^[0-9a-f]{6}$/i.test(hex)) {
+    throw new Error(`Invalid colour "${color}". Use a name or #RRGGBB.`);
+  }
+
+  const [r, g, b] = [hex.slice(0, 2), hex.slice(2, 4), hex.slice(4, 6)];
+  return `&H00${b}${g}${r}`.toUpperCase();
+}
+
+/**
+ * Format milliseconds as an ASS timestamp (H:MM:SS.cc)
+ * @param {number} milliseconds - Time in milliseconds
+ * @returns {string} - Time in ASS format (e.g., "0:00:14.01")
+ */
+function formatASSTime(milliseconds) {
+  const total = Math.max(0, Math.round(milliseconds / 10));
+
+  const hours = Math.floor(total / 360000);
+  const minutes = Math.floor((total % 360000) / 6000);
+  const seconds = Math.floor((total % 6000) / 100);
+  const centiseconds = total % 100;
+
+  return `${hours}:${minutes.toString().padStart(2, "0")}:${seconds
+    .toString()
+    .padStart(2, "0")}.${centiseconds.toString().padStart(2, "0")}`;
+}
+
+/**
+ * Parse a style specification such as "font=Noto Sans KR,size=48,color=white"
+ * Recognised keys: font, size, color, outline, outlineColor, shadow,
+ * position (top, middle or bottom) and margin (vertical margin in pixels).
+ * @param {string} [spec] - The style specification
+ * @returns {Object} - The parsed style properties
+ */
+function parseStyleSpec(spec) {
+  const style = {};
+  if (!spec) return style;
+
+  spec.split(",").forEach((entry) => {
+    const [key, ...rest] = entry.split("=");
+    const name = key.trim();
+    const value = rest.join("=").trim();
+
+    if (!(name in DEFAULT_STYLE) || !value) {
+      throw new Error(
+        `Invalid style entry "${entry}". Use ${Object.keys(DEFAULT_STYLE)
+          .map((k) => `${k}=...`)
+          .join(", ")}.`
+      );
+    }
+
+    style[name] =
+      typeof DEFAULT_STYLE[name] === "number" ? Number(value) : value;
+    if (Number.isNaN(style[name])) {
+      throw new Error(`Invalid number in style entry "${entry}"`);
+    }
+  });
+
+  // Fail early on colours the writer would reject
+  ["color", "outlineColor"].forEach((key) => {
+    if (style[key]) toASSColor(style[key]);
+  });
+
+  if (style.position && !(style.position in ALIGNMENTS)) {
+    throw new Error(
+      `Invalid position "${style.position}". Use ${Object.keys(ALIGNMENTS).join(
+        ", "
+      )}.`
+    );
+  }
+
+  return style;
+}
+
+/**
+ * Format a [V4+ Styles] line
+ * @param {string} name - The style name
+ * @param {Object} style - Style properties (see DEFAULT_STYLE)
+ * @returns {string} - The Style line
+ */
+function formatASSStyle(name, style) {
+  return `Style: ${[
+    name,
+    style.font,
+    style.size,
+    toASSColor(style.color),
+    "&H000000FF",
+    toASSColor(style.outlineColor),
+    "&H00000000",
+    0, // Bold
+    0, // Italic
+    0, // Underline
+    0, // StrikeOut
+    100, // ScaleX
+    100, // ScaleY
+    0, // Spacing
+    0, // Angle
+    1, // BorderStyle: outline + drop shadow
+    style.outline,
+    style.shadow,
+    ALIGNMENTS[style.position],
+    10, // MarginL
+    10, // MarginR
+    style.margin,
+    1, // Encoding
+  ].join(",")}\n`;
+}
+
+/**
+ * Build the [Script Info] and [V4+ Styles] sections and the [Events] header
+ * @param {Array} styles - Array of { name, style } objects
+ * @returns {string} - The ASS header
+ */
+function formatASSHeader(styles) {
+  let header = "[Script Info]\n";
+  header += "; Script generated by xml-subtitle-converter\n";
+  header += "ScriptType: v4.00+\n";
+  header += "PlayResX: 1920\n";
+  header += "PlayResY: 1080\n";
+  header += "WrapStyle: 0\n";
+  header += "ScaledBorderAndShadow: yes\n\n";
+
+  header += "[V4+ Styles]\n";
+  header +=
+    "Format: Name, Fontname, Fontsize, PrimaryColour, SecondaryColour, OutlineColour, BackColour, Bold, Italic, Underline, StrikeOut, ScaleX, ScaleY, Spacing, Angle, BorderStyle, Outline, Shadow, Alignment, MarginL, MarginR, MarginV, Encoding\n";
+  styles.forEach(({ name, style }) => {
+    header += formatASSStyle(name, style);
+  });
+
+  header += "\n[Events]\n";
+  header +=
+    "Format: Layer, Start, End, Style, Name, MarginL, MarginR, MarginV, Effect, Text\n";
+  return header;
+}
+
+/**
+ * Format a Dialogue event
+ * @param {Object} cue - Object with start, end (milliseconds) and text
+ * @param {string} styleName - The style to use
+ * @param {number} [layer] - The event layer
+ * @param {string} [placement] - Optional placement override ("top", "middle" or "bottom")
+ * @returns {string} - The Dialogue line
+ */
+function formatASSDialogue(cue, styleName, layer = 0, placement) {
+  const override = placement ? `{\\an${ALIGNMENTS[placement]}}` : "";
+  const text = cue.text.replace(/\r?\n/g, "\\N");
+
+  return `Dialogue: ${layer},${formatASSTime(cue.start)},${formatASSTime(
+    cue.end
+  )},${styleName},,0,0,0,,${override}${text}\n`;
+}
+
+/**
+ * Get a style name for a track that is unique among the given names
+ * @param {string} [language] - The track's language label
+ * @param {number} index - The track's position, used when there is no label
+ * @param {Array} taken - Style names already in use
+ * @returns {string} - The style name
+ */
+function trackStyleName(language, index, taken) {
+  const base = (language || `Track${index + 1}`).replace(/,/g, "");
+  let name = base;
+  let suffix = 2;
+
+  while (taken.includes(name)) {
+    name = `${base}${suffix++}`;
+  }
+
+  return name;
+}
+
+module.exports = {
+  DEFAULT_STYLE,
+  DEFAULT_TRACK_STYLES,
+  defaultTrackStyle,
+  toASSColor,
+  formatASSTime,
+  parseStyleSpec,
+  formatASSHeader,
+  formatASSDialogue,
+  trackStyleName,
+};
@@ -0,0 +1,213 @@
+/**
+ * Helpers for processing whole seasons at once.
+ *
+ * Input files are found in a directory or through a simple glob, grouped into
+ * episodes by a filename pattern such as "{episode}-{lang}.xml", and the
+ * episodes are then processed concurrently by a small worker pool.
+ */
+
+const fs = require("fs-extra");
+const path = require("path");
+
+const DEFAULT_PATTERN = "{episode}-{lang}.xml";
+
+// {lang} codes of the default file names, in the order they are combined
+const DEFAULT_CODES = ["kr", "ch"];
+
+/**
+ * Escape a string for use inside a regular expression
+ * @param {string} text - The text
+ * @returns {string} - The escaped text
+ */
+function escapeRegExp(text) {
+  return text.replace(/[.+^${}()|[\]\\]/g, "\\$&");
+}
+
+/**
+ * Convert a glob-like string to a regular expression source
+ * "*" matches any run of characters and "?" a single character.
+ * @param {string} text - The glob
+ * @returns {string} - Regular expression source
+ */
+function globSource(text) {
+  return escapeRegExp(text).replace(/\*/g, ".*").replace(/\?/g, ".");
+}
+
+/**
+ * Build a regular expression from a filename pattern
+ * The pattern must contain {episode} and {lang}; "*" and "?" are wildcards.
+ * @param {string} pattern - e.g. "{episode}-{lang}.xml" or "S01E{episode}.{lang}.*"
+ * @returns {RegExp} - Expression with named groups "episode" and "lang"
+ */
+function patternToRegExp(pattern) {
+  if (!pattern.includes("{episode}") || !pattern.includes("{lang}")) {
+    throw new Error(
+      `Invalid pattern "${pattern}". It must contain {episode} and {lang}.`
+    );
+  }
+
+  const source = pattern
+    .split(/(\{episode\}|\{lang\})/)
+    .map((part) => {
+      if (part === "{episode}") return "(?<episode>.+?)";
+      if (part === "{lang}") return "(?<lang>[A-Za-z0-9_-]+?)";
+      return globSource(part);
+    })
+    .join("");
+
+  return new RegExp(`^${source}$`);
+}
+
+/**
+ * List the files of a directory, or the files matching a glob
+ * Only the last path segment of a glob may contain wildcards.
+ * @param {string} input - A directory or a glob such as "season1/*.xml"
+ * @returns {Promise<Array>} - Sorted file paths
+ */
+async function listInputFiles(input) {
+  let directory = input;
+  let filter = null;
+
+  if (/[*?]/.test(input)) {
+    directory = path.dirname(input);
+    filter = new RegExp(`^${globSource(path.basename(input))}$`);
+  }
+
+  if (!(await fs.pathExists(directory))) {
+    throw new Error(`Directory ${directory} does not exist.`);
+  }
+  if (!(await fs.stat(directory)).isDirectory()) {
+    throw new Error(`${directory} is not a directory.`);
+  }
+
+  const entries = await fs.readdir(directory, { withFileTypes: true });
+  return entries
+    .filter((entry) => entry.isFile() && (!filter || filter.test(entry.name)))
+    .map((entry) => path.join(directory, entry.name))
+    .sort();
+}
+
+/**
+ * Group files into episodes by a filename pattern
+ * @param {Array} files - File paths
+ * @param {string} [pattern] - Filename pattern with {episode} and {lang}
+ * @returns {Map} - Episode name to { language: filePath }, in natural episode order
+ */
+function groupEpisodes(files, pattern = DEFAULT_PATTERN) {
+  const expression = patternToRegExp(pattern);
+  const episodes = new Map();
+
+  files.forEach((file) => {
+    const match = path.basename(file).match(expression);
+    if (!match) return;
+
+    const { episode, lang } = match.groups;
+    if (!episodes.has(episode)) {
+      episodes.set(episode, {});
+    }
+    episodes.get(episode)[lang] = file;
+  });
+
+  const collator = new Intl.Collator(undefined, { numeric: true });
+  return new Map(
+    [...episodes.entries()].sort(([a], [b]) => collator.compare(a, b))
+  );
+}
+
+/**
+ * Choose the two {lang} codes to pair in each episode
+ * @param {Map} episodes - Episodes from groupEpisodes
+ * @param {Array} [languages] - The two codes, first track first; by default
+ *   the codes found in the file names, when there are exactly two, with the
+ *   default codes first ("kr" before "ch") and others in the order found
+ * @param {string} input - The directory or glob, for error messages
+ * @returns {Array} - The two codes
+ */
+function episodeCodes(episodes, languages, input) {
+  if (languages) return languages;
+
+  const found = [
+    ...new Set([...episodes.values()].flatMap((files) => Object.keys(files))),
+  ];
+  const codes = [
+    ...DEFAULT_CODES.filter((code) => found.includes(code)),
+    ...found.filter((code) => !DEFAULT_CODES.includes(code)),
+  ];
+  if (codes.length !== 2) {
+    throw new Error(
+      `Found ${codes.length} languages (${codes.join(
+        ", "
+      )}) in ${input}; choose the two to combine`
+    );
+  }
+  return codes;
+}
+
+/**
+ * Run an async task for every item with limited concurrency
+ * @param {Array} items - The items
+ * @param {number} jobs - Maximum number of tasks running at once
+ * @param {Function} task - Async function called with (item, index)
+ * @returns {Promise<Array>} - Results in item order
+ */
+async function runConcurrently(items, jobs, task) {
+  const results = new Array(items.length);
+  let next = 0;
+
+  const worker = async () => {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await task(items[index], index);
+    }
+  };
+
+  const workers = Math.max(1, Math.min(jobs, items.length));
+  await Promise.all(Array.from({ length: workers }, worker));
+  return results;
+}
+
+/**
+ * Format the outcome of a batch run for the terminal
+ * @param {Array} results - Array of { episode, status, missing, error }
+ * @returns {string} - Human-readable summary lines
+ */
+function formatBatchSummary(results) {
+  const byStatus = (status) =>
+    results.filter((result) => result.status === status);
+  const succeeded = byStatus("succeeded");
+  const failed = byStatus("failed");
+  const missing = byStatus("missing");
+  const lines = [
+    `Batch summary: ${results.length} ${
+      results.length === 1 ? "episode" : "episodes"
+    }, ${succeeded.length} succeeded, ${failed.length} failed, ${
+      missing.length
+    } missing a language`,
+  ];
+
+  if (succeeded.length) {
+    lines.push(
+      `  Succeeded: ${succeeded.map((result) => result.episode).join(", ")}`
+    );
+  }
+  failed.forEach((result) => {
+    lines.push(`  Failed: ${result.episode} (${result.error})`);
+  });
+  missing.forEach((result) => {
+    lines.push(
+      `  Missing: ${result.episode} (no ${result.missing.join(", ")} file)`
+    );
+  });
+
+  return lines.join("\n");
+}
+
+module.exports = {
+  DEFAULT_PATTERN,
+  patternToRegExp,
+  listInputFiles,
+  groupEpisodes,
+  episodeCodes,
+  runConcurrently,
+  formatBatchSummary,
+};
@@ -4,50 +4,402 @@ const { program } = require("commander");
 const path = require("path");
 const fs = require("fs-extra");
 const {
-  convertToSRT,
-  convertToTXT,
-  createCombinedSRT,
-  createCombinedTXT,
+  readDocument,
+  writeDocument,
+  correctTiming,
+  writeAlignmentReport,
+  exportStudy,
+  exportMemory,
+  searchSubtitles,
+  processBatch,
 } = require("./index");
+const {
+  DEFAULT_PATTERN,
+  listInputFiles,
+  groupEpisodes,
+  episodeCodes,
+  formatBatchSummary,
+} = require("./batch");
+const { normalizeLanguage, matchesLanguage } = require("./language");
+const { getFormat, formatNames } = require("./formats");
+const { loadConfig, applyConfig } = require("./config");
+const { PLACEMENTS } = require("./vtt");
+const { parseStyleSpec } = require("./ass");
+const {
+  parseTimeValue,
+  parseTimeMap,
+  parseFramerateConversion,
+} = require("./retime");
+const { estimateSync, toRetimeSpec, describeSync } = require("./sync");
+const { retimeDocument, combineDocuments } = require("./document");
+const {
+  lintSubtitles,
+  formatLintViolations,
+  countViolations,
+} = require("./lint");
+const { fixSubtitles, formatFixChanges } = require("./fix");
+const {
+  diffSubtitles,
+  formatDiffChanges,
+  formatDiffSummary,
+} = require("./diff");
+const {
+  createSearchExpression,
+  formatSearchMatches,
+  formatSearchSummary,
+} = require("./search");
+const { STUDY_FORMATS } = require("./study");
+const { MEMORY_FORMATS } = require("./memory");
+
+// Supported combination modes
+const MODES = ["paired", "timeline", "merged"];
+
+// Settings from the config file, loaded before every command
+let config = {};
+
+/**
+ * Parse and validate a comma-separated list of output formats
+ * Exits the process when an unknown format is given.
+ * @param {string} value - The option value (e.g. "srt,txt")
+ * @returns {Array} - The list of formats
+ */
+function parseFormats(value) {
+  const formats = value.split(",").map((format) => format.trim().toLowerCase());
+
+  formats.forEach((format) => {
+    const registered = getFormat(format);
+    if (!registered || !registered.write) {
+      console.error(
+        `Error: Invalid format '${format}'. Use ${formatNames("write").join(
+          ", "
+        )}.`
+      );
+      process.exit(1);
+    }
+  });
+
+  return formats;
+}
+
+/**
+ * Parse and validate a comma-separated list of cue placements
+ * Exits the process when an unknown placement is given.
+ * @param {string} [value] - The option value (e.g. "bottom,top")
+ * @returns {Array|undefined} - The list of placements, or undefined when not set
+ */
+function parsePositions(value) {
+  if (!value) return undefined;
+
+  const positions = value.split(",").map((position) => position.trim());
+
+  positions.forEach((position) => {
+    if (!PLACEMENTS.includes(position)) {
+      console.error(
+        `Error: Invalid position '${position}'. Use ${PLACEMENTS.join(", ")}.`
+      );
+      process.exit(1);
+    }
+  });
+
+  return positions;
+}
+
+/**
+ * Parse and validate a stacking order such as "2,1"
+ * Exits the process unless the value lists each file number exactly once.
+ * @param {string} value - The option value
+ * @param {number} count - Number of input files
+ * @returns {Array} - File numbers from top to bottom
+ */
+function parseOrder(value, count) {
+  const numbers = Array.from({ length: count }, (_, i) => i + 1);
+  const order = value.split(",").map((track) => Number(track.trim()));
+  if (
+    order.length !== count ||
+    !numbers.every((number) => order.includes(number))
+  ) {
+    const example = [...numbers].reverse().join(",");
+    console.error(
+      `Error: Invalid order '${value}'. List each file number from 1 to ${count} once, e.g. '${example}'.`
+    );
+    process.exit(1);
+  }
+
+  return order;
+}
+
+/**
+ * Collect the values of a repeatable option
+ * @param {string} value - The new value
+ * @param {Array} previous - Values collected so far
+ * @returns {Array} - All values
+ */
+function collect(value, previous) {
+  return [...previous, value];
+}
+
+/**
+ * Parse and validate a 1-based file number
+ * Exits the process when the number does not name one of the files.
+ * @param {string} value - The option value
+ * @param {number} count - Number of input files
+ * @returns {number} - The file number
+ */
+function parseFileNumber(value, count) {
+  const number = Number(value);
+
+  if (!Number.isInteger(number) || number < 1 || number > count) {
+    console.error(
+      `Error: Invalid file number '${value}'. Use a number from 1 to ${count}.`
+    );
+    process.exit(1);
+  }
+
+  return number;
+}
+
+/**
+ * Gather a per-file option from its numbered forms and "n:value" entries
+ * @param {Array} numbered - Values of the numbered options (e.g. --style1, --style2)
+ * @param {Array} entries - "n:value" entries of the repeatable option
+ * @param {number} count - Number of input files
+ * @returns {Array} - The value for each file, undefined where unset
+ */
+function parsePerFile(numbered, entries, count) {
+  const values = Array.from({ length: count }, (_, i) => numbered[i]);
+
+  entries.forEach((entry) => {
+    const separator = entry.indexOf(":");
+    const number = parseFileNumber(
+      separator === -1 ? entry : entry.slice(0, separator),
+      count
+    );
+    values[number - 1] = entry.slice(separator + 1);
+  });
+
+  return values;
+}
+
+/**
+ * Validate an optional language option
+ * @param {string} [value] - The option value
+ * @returns {string|undefined} - The canonical BCP-47 tag, or undefined when not set
+ */
+function parseLanguage(value) {
+  return value === undefined ? undefined : normalizeLanguage(value);
+}
+
+/**
+ * Build a retiming specification from CLI option values
+ * @param {Object} values - { shift, map, fps } option values, any of which may be unset
+ * @returns {Object|undefined} - The specification, or undefined when nothing is set
+ */
+function parseRetime({ shift, map, fps }) {
+  if (shift === undefined && map === undefined && fps === undefined) {
+    return undefined;
+  }
+
+  return {
+    shift: shift !== undefined ? parseTimeValue(shift) : undefined,
+    map: map !== undefined ? parseTimeMap(map) : undefined,
+    framerate: fps !== undefined ? parseFramerateConversion(fps) : undefined,
+  };
+}
+
+/**
+ * Parse lint rule options such as "maxCPS=17", "minGap=83:error" or "overlap=off"
+ * @param {Array} entries - The option values
+ * @returns {Object} - Map of rule name to setting
+ */
+function parseRules(entries) {
+  const rules = {};
+
+  entries.forEach((entry) => {
+    const match = entry.match(/^(\w+)=([^:]+)(?::(error|warning))?$/);
+    if (!match) {
+      console.error(
+        `Error: Invalid rule '${entry}'. Use name=value, e.g. 'maxCPS=17' or 'minGap=83:error'.`
+      );
+      process.exit(1);
+    }
+
+    const [, name, value, severity] = match;
+    let setting = value;
+    if (value === "off" || value === "false") setting = false;
+    else if (value === "on" || value === "true") setting = true;
+    else setting = Number(value);
+
+    rules[name] =
+      severity && setting !== false ? { value: setting, severity } : setting;
+  });
+
+  return rules;
+}
+
+/**
+ * Build text normalisation settings from the config file and the command-line options
+ * Options given on the command line apply to every language, over the config file.
+ * @param {Object} options - Command options with optional remove and dialogue
+ * @returns {Object} - Normalisation settings { remove, dialogue, languages }
+ */
+function normalizeSettings(options) {
+  const normalize = config.normalize || {};
+  const overrides = {};
+
+  if (options.remove !== undefined) {
+    overrides.remove =
+      options.remove.trim() === "none"
+        ? []
+        : options.remove
+            .split(",")
+            .map((item) => item.trim())
+            .filter(Boolean);
+  }
+  if (options.dialogue !== undefined) {
+    overrides.dialogue = options.dialogue;
+  }
+
+  const languages = {};
+  Object.entries(normalize.languages || {}).forEach(([range, settings]) => {
+    languages[range] = { ...settings, ...overrides };
+  });
+
+  return { ...normalize, ...overrides, languages };
+}
+
+/**
+ * Build lint settings from the config file and the command-line options
+ * Rules given on the command line win over every rule in the config file.
+ * @param {Object} options - Command options with optional preset and rule
+ * @returns {Object} - Lint settings { preset, rules, languages }
+ */
+function lintSettings(options) {
+  const lint = config.lint || {};
+  const rules = parseRules(options.rule || []);
+  const languages = {};
+
+  Object.entries(lint.languages || {}).forEach(([range, overrides]) => {
+    languages[range] = { ...overrides, ...rules };
+  });
+
+  return {
+    preset: options.preset || lint.preset,
+    rules: { ...lint.rules, ...rules },
+    languages,
+  };
+}
+
+/**
+ * Fix the subtitles of a single-track document and print every change
+ * @param {Object} document - The document read from the file
+ * @param {string} file - The file name, for the printed changes
+ * @param {Object} options - Command options with optional preset and rule
+ * @returns {Object} - The fixed document
+ */
+function fixDocument(document, file, options) {
+  const [track] = document.tracks;
+  const { subtitles, changes } = fixSubtitles(
+    track.subtitles,
+    { ...config.fix, ...lintSettings(options) },
+    track.language
+  );
+
+  if (changes.length) {
+    console.log(formatFixChanges(file, changes));
+  }
+  console.log(`${file}: ${changes.length} changes`);
+
+  return { ...document, tracks: [{ ...track, subtitles }] };
+}
 
 // Configure the CLI
 program
   .name("xml-subtitle-converter")
-  .description("Convert XML subtitle files to SRT and TXT formats")
-  .version("1.0.0");
+  .description("Convert XML, SRT, VTT and ASS subtitle files to other formats")
+  .version("1.0.0")
+  .option(
+    "--config <file>",
+    "Config file, e.g. to register extra formats (default: subtitles.config.json when present)"
+  )
+  .hook("preAction", async () => {
+    try {
+      config = await loadConfig(program.opts().config);
+      applyConfig(config);
+    } catch (error) {
+      console.error("Error:", error.message);
+      process.exit(1);
+    }
+  });
 
 // Convert command
 program
   .command("convert")
-  .description("Convert a single XML file to SRT and TXT formats")
-  .argument("<xmlFile>", "Path to the XML file")
+  .description(
+    "Convert a single subtitle file (XML, SRT, VTT or ASS) to SRT, TXT, VTT, ASS, HTML or TTML formats"
+  )
+  .argument("<inputFile>", "Path to the subtitle file")
   .option("-o, --output <directory>", "Output directory", "./output")
   .option(
     "-l, --language <language>",
-    "Language of the XML file (kr or ch)",
-    "kr"
+    "Language of the subtitle file as a BCP-47 tag, e.g. 'ko' or 'zh-Hant' (default: declared in the file or detected)"
+  )
+  .option(
+    "-f, --format <formats>",
+    "Comma-separated output formats (srt, txt, vtt, ass, html, ttml or a format from the config file)",
+    "srt,txt"
+  )
+  .option(
+    "--plain",
+    "Leave italic, bold, colour and position tags out of SRT output"
   )
-  .action(async (xmlFile, options) => {
+  .option(
+    "--remove <items>",
+    "Comma-separated text to remove: notes, sdh, speakers, music, or 'none' (default: from the config file)"
+  )
+  .option(
+    "--dialogue <mode>",
+    "Dialogue dash cues: 'keep', 'strip' the dashes or 'split' into one cue per speaker (default: from the config file, else 'keep')"
+  )
+  .option(
+    "--fix",
+    "Repair timing and line-length problems first, using the lint rules (see the fix command)"
+  )
+  .action(async (inputFile, options) => {
     try {
-      // Ensure the XML file exists
-      if (!fs.existsSync(xmlFile)) {
-        console.error(`Error: File ${xmlFile} does not exist.`);
+      // Ensure the input file exists
+      if (!fs.existsSync(inputFile)) {
+        console.error(`Error: File ${inputFile} does not exist.`);
         process.exit(1);
       }
 
+      const formats = parseFormats(options.format);
+      const language = parseLanguage(options.language);
+
       // Ensure the output directory exists
       fs.ensureDirSync(options.output);
 
-      // Generate output file paths
-      const baseName = path.basename(xmlFile, path.extname(xmlFile));
-      const srtPath = path.join(options.output, `${baseName}.srt`);
-      const txtPath = path.join(options.output, `${baseName}.txt`);
-
-      // Convert the XML file
-      await convertToSRT(xmlFile, srtPath, options.language);
-      await convertToTXT(xmlFile, txtPath, options.language);
+      // Read the input file once and write each requested format
+      let document = await readDocument(inputFile, {
+        language,
+        normalize: normalizeSettings(options),
+      });
+      if (options.fix) {
+        document = fixDocument(document, inputFile, options);
+      }
+      const baseName = path.basename(inputFile, path.extname(inputFile));
+      for (const format of formats) {
+        const outputPath = path.join(options.output, `${baseName}.${format}`);
+        await writeDocument(document, outputPath, format, {
+          plain: options.plain,
+        });
+        console.log(`Successfully converted ${inputFile} to ${outputPath}`);
+      }
 
-      console.log(`Successfully converted ${xmlFile} to SRT and TXT formats.`);
+      console.log(
+        `Successfully converted ${inputFile} to ${formats
+          .join(", ")
+          .toUpperCase()} formats.`
+      );
     } catch (error) {
       console.error("Error:", error.message);
       process.exit(1);
@@ -57,73 +409,367 @@ program
 // Combine command
 program
   .command("combine")
-  .description("Combine two XML files into SRT and TXT formats")
-  .argument("<xmlFile1>", "Path to the first XML file")
-  .argument("<xmlFile2>", "Path to the second XML file")
+  .description(
+    "Combine two or more subtitle files (XML, SRT, VTT or ASS) into SRT, TXT, VTT, ASS, HTML or TTML formats"
+  )
+  .argument(
+    "<inputFiles...>",
+    "Paths to the subtitle files, in the order their languages are shown"
+  )
   .option("-o, --output <directory>", "Output directory", "./output")
+  .option(
+    "--languages <languages>",
+    "Comma-separated BCP-47 tag of each file, e.g. 'ko,zh-Hant,en'; leave an entry empty to detect it"
+  )
   .option(
     "-l1, --language1 <language>",
-    "Language of the first XML file (kr or ch)",
-    "kr"
+    "Language of the first subtitle file as a BCP-47 tag (default: declared in the file or detected)"
   )
   .option(
     "-l2, --language2 <language>",
-    "Language of the second XML file (kr or ch)",
-    "ch"
+    "Language of the second subtitle file as a BCP-47 tag (default: declared in the file or detected)"
+  )
+  .option(
+    "--primary <language>",
+    "Language shown first, e.g. 'ko'; a matching file is moved to the front when the first file does not match"
+  )
+  .option(
+    "--reference <n>",
+    "Paired mode: number of the file the others are aligned to",
+    "1"
+  )
+  .option(
+    "-n, --name <n>",
+    "Base name for the output files (default: 'combined')"
+  )
+  .option(
+    "--language-suffix",
+    "Add the languages to the default name, e.g. 'combined-ko-zh-Hant'"
   )
-  .option("-n, --name <n>", "Base name for the output files", "combined")
   .option(
     "-m, --mode <mode>",
-    "Combination mode: 'paired' (match subtitles) or 'timeline' (sort by time)",
+    "Combination mode: 'paired' (match subtitles), 'timeline' (sort by time) or 'merged' (one cue per time segment)",
     "timeline"
   )
-  .action(async (xmlFile1, xmlFile2, options) => {
+  .option(
+    "-f, --format <formats>",
+    "Comma-separated output formats (srt, txt, vtt, ass, html, ttml or a format from the config file)",
+    "srt,txt"
+  )
+  .option(
+    "-p, --positions <positions>",
+    "VTT/ASS/TTML placement of each file's subtitles (top, middle or bottom), e.g. 'bottom,top'"
+  )
+  .option(
+    "--style1 <style>",
+    "ASS style of the first file, e.g. 'font=Noto Sans KR,size=56,color=white,margin=40'"
+  )
+  .option(
+    "--style2 <style>",
+    "ASS style of the second file, e.g. 'font=Noto Sans TC,size=44,color=yellow,margin=120'"
+  )
+  .option(
+    "--style <n:style>",
+    "ASS style of file n, e.g. '3:color=cyan,margin=190' (repeatable)",
+    collect,
+    []
+  )
+  .option(
+    "--order <order>",
+    "Merged mode stacking order of the files, top to bottom, by their numbers on the command line, e.g. '2,1' (default: the primary language first)"
+  )
+  .option(
+    "--snap <ms>",
+    "Merged mode: treat cue boundaries closer than this many milliseconds as one",
+    "100"
+  )
+  .option(
+    "--offset1 <time>",
+    "Shift the first file's timing, e.g. '-2.5s', '1500' (ms) or '00:00:03,000'"
+  )
+  .option("--offset2 <time>", "Shift the second file's timing")
+  .option(
+    "--offset <n:time>",
+    "Shift file n's timing, e.g. '3:-2.5s' (repeatable)",
+    collect,
+    []
+  )
+  .option(
+    "--autosync",
+    "Detect and correct every other file's offset and drift against the reference file"
+  )
+  .option(
+    "--labels",
+    "Timeline mode: prefix each SRT/TXT subtitle with the name of its language"
+  )
+  .option(
+    "--plain",
+    "Leave italic, bold, colour and position tags out of SRT output"
+  )
+  .option(
+    "--remove <items>",
+    "Comma-separated text to remove: notes, sdh, speakers, music, or 'none' (default: from the config file)"
+  )
+  .option(
+    "--dialogue <mode>",
+    "Dialogue dash cues: 'keep', 'strip' the dashes or 'split' into one cue per speaker (default: from the config file, else 'keep')"
+  )
+  .option(
+    "--report <file>",
+    "Paired mode with two files: write a JSON alignment report and print its summary"
+  )
+  .option(
+    "--fps1 <from:to>",
+    "Convert the first file's timing between framerates, e.g. '25:23.976'"
+  )
+  .option(
+    "--fps2 <from:to>",
+    "Convert the second file's timing between framerates"
+  )
+  .option(
+    "--fps <n:from:to>",
+    "Convert file n's timing between framerates, e.g. '3:25:23.976' (repeatable)",
+    collect,
+    []
+  )
+  .action(async (inputFiles, options) => {
     try {
-      // Ensure the XML files exist
-      if (!fs.existsSync(xmlFile1)) {
-        console.error(`Error: File ${xmlFile1} does not exist.`);
-        process.exit(1);
-      }
-      if (!fs.existsSync(xmlFile2)) {
-        console.error(`Error: File ${xmlFile2} does not exist.`);
+      // Ensure the input files exist
+      if (inputFiles.length < 2) {
+        console.error("Error: Give at least two subtitle files to combine.");
         process.exit(1);
       }
+      inputFiles.forEach((inputFile) => {
+        if (!fs.existsSync(inputFile)) {
+          console.error(`Error: File ${inputFile} does not exist.`);
+          process.exit(1);
+        }
+      });
 
       // Validate mode option
-      if (options.mode !== "paired" && options.mode !== "timeline") {
+      if (!MODES.includes(options.mode)) {
         console.error(
-          `Error: Invalid mode '${options.mode}'. Use 'paired' or 'timeline'.`
+          `Error: Invalid mode '${options.mode}'. Use 'paired', 'timeline' or 'merged'.`
         );
         process.exit(1);
       }
+      if (options.mode === "merged" && inputFiles.length !== 2) {
+        console.error("Error: Merged mode combines exactly two files.");
+        process.exit(1);
+      }
+      if (
+        options.report &&
+        (options.mode !== "paired" || inputFiles.length !== 2)
+      ) {
+        console.error(
+          "Error: --report is only available in paired mode with two files."
+        );
+        process.exit(1);
+      }
+
+      const count = inputFiles.length;
+      const formats = parseFormats(options.format);
+      const positions = parsePositions(options.positions);
+      const order = options.order && parseOrder(options.order, count);
+      const reference = parseFileNumber(options.reference, count);
+      const snap = Number(options.snap);
+      if (!(snap >= 0)) {
+        console.error(`Error: Invalid snap '${options.snap}'.`);
+        process.exit(1);
+      }
+
+      // Per-file settings, from the numbered options and the n:value forms
+      const languages = options.languages
+        ? options.languages.split(",").map((language) => language.trim())
+        : [options.language1, options.language2];
+      const styles = parsePerFile(
+        [options.style1, options.style2],
+        options.style,
+        count
+      );
+      const offsets = parsePerFile(
+        [options.offset1, options.offset2],
+        options.offset,
+        count
+      );
+      const fps = parsePerFile(
+        [options.fps1, options.fps2],
+        options.fps,
+        count
+      );
+
+      // Read every file once; its language is the one given, declared or
+      // detected. Then put the primary language first
+      const normalize = normalizeSettings(options);
+      const documents = await Promise.all(
+        inputFiles.map((file, i) =>
+          readDocument(file, {
+            language: parseLanguage(languages[i] || undefined),
+            normalize,
+          })
+        )
+      );
+      const tracks = inputFiles.map((file, i) => ({
+        number: i + 1,
+        file,
+        document: documents[i],
+        language: documents[i].tracks[0].language,
+        position: positions && positions[i],
+        style: parseStyleSpec(styles[i]),
+        retime: parseRetime({ shift: offsets[i], fps: fps[i] }),
+      }));
+      const primary = parseLanguage(options.primary);
+      const primaryIndex = tracks.findIndex((track) =>
+        matchesLanguage(track.language, primary)
+      );
+      if (primaryIndex > 0) {
+        tracks.unshift(...tracks.splice(primaryIndex, 1));
+      }
+      const name =
+        options.name ||
+        (options.languageSuffix
+          ? ["combined", ...tracks.map((track) => track.language)]
+              .filter(Boolean)
+              .join("-")
+          : "combined");
+
+      const combineOptions = {
+        positions: positions && tracks.map((track) => track.position),
+        styles: tracks.map((track) => track.style),
+        // The order names files by their place on the command line; without
+        // it the tracks are stacked as shown, primary language first
+        order:
+          order &&
+          order.map(
+            (number) => tracks.findIndex((track) => track.number === number) + 1
+          ),
+        snap,
+        retime: tracks.map((track) => track.retime),
+        reference: tracks.findIndex((track) => track.number === reference),
+        autosync: options.autosync,
+        labels: options.labels,
+        plain: options.plain,
+      };
 
       // Ensure the output directory exists
       fs.ensureDirSync(options.output);
 
-      // Generate output file paths
-      const srtPath = path.join(options.output, `${options.name}.srt`);
-      const txtPath = path.join(options.output, `${options.name}.txt`);
-
-      // Combine the XML files
-      await createCombinedSRT(
-        xmlFile1,
-        xmlFile2,
-        srtPath,
-        options.language1,
-        options.language2,
-        options.mode
+      // Combine the documents and write them in each requested format
+      const document = correctTiming(
+        combineDocuments(tracks.map((track) => track.document)),
+        combineOptions
       );
-      await createCombinedTXT(
-        xmlFile1,
-        xmlFile2,
-        txtPath,
-        options.language1,
-        options.language2,
-        options.mode
+      for (const format of formats) {
+        const outputPath = path.join(options.output, `${name}.${format}`);
+        await writeDocument(document, outputPath, format, {
+          ...combineOptions,
+          mode: options.mode,
+        });
+        console.log(
+          `Successfully created combined ${format.toUpperCase()} file (${
+            options.mode
+          } mode): ${outputPath}`
+        );
+      }
+
+      if (options.report) {
+        fs.ensureDirSync(path.dirname(options.report));
+        await writeAlignmentReport(document, options.report, combineOptions);
+      }
+
+      console.log(
+        `Successfully combined ${inputFiles.join(", ")} into ${formats
+          .join(", ")
+          .toUpperCase()} formats using ${options.mode} mode.`
       );
+    } catch (error) {
+      console.error("Error:", error.message);
+      process.exit(1);
+    }
+  });
+
+// Retime command
+program
+  .command("retime")
+  .description(
+    "Correct the timing of a subtitle file: shift, two-point stretch or framerate conversion"
+  )
+  .argument("<inputFile>", "Path to the subtitle file")
+  .option("-o, --output <directory>", "Output directory", "./output")
+  .option("-n, --name <n>", "Base name for the output files")
+  .option(
+    "-l, --language <language>",
+    "Language of the subtitle file as a BCP-47 tag, e.g. 'ko' or 'zh-Hant' (default: declared in the file or detected)"
+  )
+  .option(
+    "-f, --format <formats>",
+    "Comma-separated output formats (srt, txt, vtt, ass, html, ttml or a format from the config file)",
+    "srt"
+  )
+  .option(
+    "-s, --shift <time>",
+    "Constant shift, e.g. '-2.5s', '1500' (ms) or '00:00:03,000'"
+  )
+  .option(
+    "--map <mapping>",
+    "Two-point linear remapping, e.g. '60s=62s;2400s=2405s' moves 60s to 62s and 2400s to 2405s; SRT times such as '00:01:00,000' are accepted"
+  )
+  .option(
+    "--fps <from:to>",
+    "Framerate conversion, e.g. '25:23.976' or 'pal:ntsc-film'"
+  )
+  .option(
+    "--plain",
+    "Leave italic, bold, colour and position tags out of SRT output"
+  )
+  .option(
+    "--remove <items>",
+    "Comma-separated text to remove: notes, sdh, speakers, music, or 'none' (default: from the config file)"
+  )
+  .option(
+    "--dialogue <mode>",
+    "Dialogue dash cues: 'keep', 'strip' the dashes or 'split' into one cue per speaker (default: from the config file, else 'keep')"
+  )
+  .action(async (inputFile, options) => {
+    try {
+      // Ensure the input file exists
+      if (!fs.existsSync(inputFile)) {
+        console.error(`Error: File ${inputFile} does not exist.`);
+        process.exit(1);
+      }
+
+      const formats = parseFormats(options.format);
+      const language = parseLanguage(options.language);
+      const retime = parseRetime(options);
+      if (!retime) {
+        console.error("Error: Use at least one of --shift, --map or --fps.");
+        process.exit(1);
+      }
+
+      // Ensure the output directory exists
+      fs.ensureDirSync(options.output);
+
+      // Write the retimed subtitles in each requested format
+      const baseName =
+        options.name ||
+        `${path.basename(inputFile, path.extname(inputFile))}-retimed`;
+      const document = await readDocument(inputFile, {
+        language,
+        retime,
+        normalize: normalizeSettings(options),
+      });
+      for (const format of formats) {
+        const outputPath = path.join(options.output, `${baseName}.${format}`);
+        await writeDocument(document, outputPath, format, {
+          plain: options.plain,
+        });
+        console.log(`Successfully converted ${inputFile} to ${outputPath}`);
+      }
 
       console.log(
-        `Successfully combined ${xmlFile1} and ${xmlFile2} into SRT and TXT formats using ${options.mode} mode.`
+        `Successfully retimed ${inputFile} to ${formats
+          .join(", ")
+          .toUpperCase()} formats.`
       );
     } catch (error) {
       console.error("Error:", error.message);
@@ -131,80 +777,737 @@ program
     }
   });
 
-// Default command
+// Autosync command
 program
-  .command("default")
-  .description("Process the default files (ep1-kr.xml and ep1-ch.xml)")
+  .command("autosync")
+  .description(
+    "Detect the offset and drift of a subtitle file against a reference track of the same episode"
+  )
+  .argument("<referenceFile>", "Path to the reference subtitle file")
+  .argument("<targetFile>", "Path to the subtitle file to synchronise")
+  .option("-w, --write", "Write the synchronised target file")
   .option("-o, --output <directory>", "Output directory", "./output")
+  .option("-n, --name <n>", "Base name for the output files")
   .option(
-    "-m, --mode <mode>",
-    "Combination mode: 'paired' (match subtitles) or 'timeline' (sort by time)",
-    "timeline"
+    "-l, --language <language>",
+    "Language of the target file as a BCP-47 tag (default: declared in the file or detected)"
   )
-  .action(async (options) => {
+  .option(
+    "-f, --format <formats>",
+    "Comma-separated output formats (srt, txt, vtt, ass, html, ttml or a format from the config file)",
+    "srt"
+  )
+  .action(async (referenceFile, targetFile, options) => {
     try {
+      // Ensure the input files exist
+      if (!fs.existsSync(referenceFile)) {
+        console.error(`Error: File ${referenceFile} does not exist.`);
+        process.exit(1);
+      }
+      if (!fs.existsSync(targetFile)) {
+        console.error(`Error: File ${targetFile} does not exist.`);
+        process.exit(1);
+      }
+
+      const formats = parseFormats(options.format);
+      const language = parseLanguage(options.language);
+
+      // Estimate the synchronisation
+      const reference = await readDocument(referenceFile);
+      const target = await readDocument(targetFile, { language });
+      const sync = estimateSync(
+        reference.tracks[0].subtitles,
+        target.tracks[0].subtitles
+      );
+      console.log(`Detected ${describeSync(sync)}`);
+
+      if (!options.write) return;
+
       // Ensure the output directory exists
       fs.ensureDirSync(options.output);
 
+      // Write the synchronised subtitles in each requested format
+      const baseName =
+        options.name ||
+        `${path.basename(targetFile, path.extname(targetFile))}-synced`;
+      const synced = retimeDocument(target, toRetimeSpec(sync));
+      for (const format of formats) {
+        const outputPath = path.join(options.output, `${baseName}.${format}`);
+        await writeDocument(synced, outputPath, format);
+        console.log(`Successfully converted ${targetFile} to ${outputPath}`);
+      }
+    } catch (error) {
+      console.error("Error:", error.message);
+      process.exit(1);
+    }
+  });
+
+/**
+ * Run a batch, print its summary and exit non-zero when an episode failed
+ * @param {string} input - A directory or glob
+ * @param {string} output - Output directory
+ * @param {Object} options - Options for processBatch
+ */
+async function runBatch(input, output, options) {
+  const results = await processBatch(input, output, options);
+
+  console.log(formatBatchSummary(results));
+  if (results.some((result) => result.status === "failed")) {
+    process.exit(1);
+  }
+}
+
+// Batch command
+program
+  .command("batch")
+  .description(
+    "Convert and combine every episode in a directory or glob, pairing the languages by filename"
+  )
+  .argument(
+    "<input>",
+    "Directory or glob of subtitle files, e.g. 'season1' or 'season1/*.xml'"
+  )
+  .option("-o, --output <directory>", "Output directory", "./output")
+  .option(
+    "-p, --pattern <pattern>",
+    "Filename pattern with {episode} and {lang} placeholders",
+    DEFAULT_PATTERN
+  )
+  .option(
+    "-l, --languages <codes>",
+    "The two {lang} codes of the file names to combine, e.g. 'kr,ch' (default: the two codes found)"
+  )
+  .option(
+    "--primary <language>",
+    "Language shown first in the combined output, e.g. 'ko' (default: the first code)"
+  )
+  .option(
+    "-m, --mode <mode>",
+    "Combination mode: 'paired' (match subtitles), 'timeline' (sort by time) or 'merged' (one cue per time segment)",
+    "timeline"
+  )
+  .option(
+    "-f, --format <formats>",
+    "Comma-separated output formats (srt, txt, vtt, ass, html, ttml or a format from the config file)",
+    "srt,txt"
+  )
+  .option("-j, --jobs <n>", "Number of episodes processed at once", "4")
+  .option(
+    "--remove <items>",
+    "Comma-separated text to remove: notes, sdh, speakers, music, or 'none' (default: from the config file)"
+  )
+  .option(
+    "--dialogue <mode>",
+    "Dialogue dash cues: 'keep', 'strip' the dashes or 'split' into one cue per speaker (default: from the config file, else 'keep')"
+  )
+  .action(async (input, options) => {
+    try {
       // Validate mode option
-      if (options.mode !== "paired" && options.mode !== "timeline") {
+      if (!MODES.includes(options.mode)) {
         console.error(
-          `Error: Invalid mode '${options.mode}'. Use 'paired' or 'timeline'.`
+          `Error: Invalid mode '${options.mode}'. Use 'paired', 'timeline' or 'merged'.`
         );
         process.exit(1);
       }
 
-      // Default file paths
-      const krXmlPath = path.join(process.cwd(), "ep1-kr.xml");
-      const chXmlPath = path.join(process.cwd(), "ep1-ch.xml");
+      const languages =
+        options.languages &&
+        options.languages.split(",").map((code) => code.trim());
+      if (
+        languages &&
+        (languages.length !== 2 || languages[0] === languages[1])
+      ) {
+        console.error(
+          `Error: Invalid languages '${options.languages}'. Give two different codes, e.g. 'kr,ch'.`
+        );
+        process.exit(1);
+      }
 
-      // Ensure the default files exist
-      if (!fs.existsSync(krXmlPath)) {
-        console.error(`Error: File ${krXmlPath} does not exist.`);
+      const jobs = Number(options.jobs);
+      if (!Number.isInteger(jobs) || jobs < 1) {
+        console.error(`Error: Invalid number of jobs '${options.jobs}'.`);
         process.exit(1);
       }
-      if (!fs.existsSync(chXmlPath)) {
-        console.error(`Error: File ${chXmlPath} does not exist.`);
+
+      await runBatch(input, options.output, {
+        pattern: options.pattern,
+        languages,
+        primary: parseLanguage(options.primary),
+        formats: parseFormats(options.format),
+        mode: options.mode,
+        jobs,
+        normalize: normalizeSettings(options),
+      });
+    } catch (error) {
+      console.error("Error:", error.message);
+      process.exit(1);
+    }
+  });
+
+/**
+ * Find the episodes to export from the command arguments
+ * @param {string} input - The source file, or a directory or glob of episodes
+ * @param {string} [translation] - The translation file, when input is a file
+ * @param {Object} options - Command options (episode, pattern, languages)
+ * @returns {Promise<Array>} - Array of { episode, files } objects
+ */
+async function exportEpisodes(input, translation, options) {
+  if (translation) {
+    [input, translation].forEach((file) => {
+      if (!fs.existsSync(file)) {
+        console.error(`Error: File ${file} does not exist.`);
         process.exit(1);
       }
+    });
 
-      // Output file paths
-      const krSrtPath = path.join(options.output, "ep1-kr.srt");
-      const krTxtPath = path.join(options.output, "ep1-kr.txt");
-      const chSrtPath = path.join(options.output, "ep1-ch.srt");
-      const chTxtPath = path.join(options.output, "ep1-ch.txt");
-      const combinedSrtPath = path.join(options.output, "ep1-combined.srt");
-      const combinedTxtPath = path.join(options.output, "ep1-combined.txt");
+    const [found] = groupEpisodes([input], options.pattern).keys();
+    return [
+      {
+        episode:
+          options.episode || found || path.basename(input, path.extname(input)),
+        files: [input, translation],
+      },
+    ];
+  }
 
-      // Convert Korean XML to SRT and TXT
-      await convertToSRT(krXmlPath, krSrtPath, "kr");
-      await convertToTXT(krXmlPath, krTxtPath, "kr");
+  const languages =
+    options.languages &&
+    options.languages.split(",").map((code) => code.trim());
+  const episodes = groupEpisodes(await listInputFiles(input), options.pattern);
+  if (!episodes.size) {
+    throw new Error(`No files matching "${options.pattern}" found in ${input}`);
+  }
 
-      // Convert Chinese XML to SRT and TXT
-      await convertToSRT(chXmlPath, chSrtPath, "ch");
-      await convertToTXT(chXmlPath, chTxtPath, "ch");
+  const codes = episodeCodes(episodes, languages, input);
+  const complete = [];
+  episodes.forEach((files, episode) => {
+    const missing = codes.filter((code) => !files[code]);
+    if (missing.length) {
+      console.log(`Skipping ${episode}: no ${missing.join(", ")} file`);
+    } else {
+      complete.push({ episode, files: codes.map((code) => files[code]) });
+    }
+  });
+  return complete;
+}
 
-      // Create combined files
-      await createCombinedSRT(
-        krXmlPath,
-        chXmlPath,
-        combinedSrtPath,
-        "kr",
-        "ch",
-        options.mode
-      );
-      await createCombinedTXT(
-        krXmlPath,
-        chXmlPath,
-        combinedTxtPath,
-        "kr",
-        "ch",
-        options.mode
+// Export study command
+program
+  .command("export-study")
+  .description(
+    "Export the paired lines of two languages as a CSV/TSV table for study, e.g. to import as Anki flashcards"
+  )
+  .argument(
+    "<input>",
+    "Source-language subtitle file, or a directory or glob of episodes paired by filename"
+  )
+  .argument(
+    "[translation]",
+    "Translation subtitle file, when <input> is a file"
+  )
+  .option(
+    "-o, --output <file>",
+    "Output file (default: ./output/study.<format>)"
+  )
+  .option("-f, --format <format>", "Table format: 'csv' or 'tsv'", "tsv")
+  .option(
+    "-e, --episode <name>",
+    "Episode name of a pair of files (default: from the filename pattern, else the source file name)"
+  )
+  .option(
+    "-p, --pattern <pattern>",
+    "Filename pattern with {episode} and {lang} placeholders",
+    DEFAULT_PATTERN
+  )
+  .option(
+    "-l, --languages <codes>",
+    "The {lang} codes of the source and translation file names, e.g. 'kr,ch' (default: the two codes found)"
+  )
+  .option(
+    "--primary <language>",
+    "Language of the source column, e.g. 'ko' (default: the first file or code)"
+  )
+  .option("--dedupe", "Keep only the first row of each repeated source line")
+  .option(
+    "--min-length <n>",
+    "Leave out lines whose source has fewer letters or digits, e.g. 2 to drop '어!'",
+    "0"
+  )
+  .option(
+    "--anki",
+    "Start with Anki import headers instead of a row of column names"
+  )
+  .option("--no-header", "Leave out the row of column names")
+  .option(
+    "--remove <items>",
+    "Comma-separated text to remove: notes, sdh, speakers, music, or 'none' (default: from the config file)"
+  )
+  .option(
+    "--dialogue <mode>",
+    "Dialogue dash cues: 'keep', 'strip' the dashes or 'split' into one cue per speaker (default: from the config file, else 'keep')"
+  )
+  .action(async (input, translation, options) => {
+    try {
+      if (!STUDY_FORMATS[options.format]) {
+        console.error(
+          `Error: Invalid format '${options.format}'. Use 'csv' or 'tsv'.`
+        );
+        process.exit(1);
+      }
+
+      const minLength = Number(options.minLength);
+      if (!Number.isInteger(minLength) || minLength < 0) {
+        console.error(`Error: Invalid minimum length '${options.minLength}'.`);
+        process.exit(1);
+      }
+
+      const episodes = await exportEpisodes(input, translation, options);
+      if (!episodes.length) {
+        console.error("Error: No episode has files in both languages.");
+        process.exit(1);
+      }
+
+      const output =
+        options.output || path.join("./output", `study.${options.format}`);
+      fs.ensureDirSync(path.dirname(output));
+
+      await exportStudy(episodes, output, {
+        primary: parseLanguage(options.primary),
+        normalize: normalizeSettings(options),
+        dedupe: options.dedupe,
+        minLength,
+        format: options.format,
+        header: options.header,
+        anki: options.anki,
+      });
+    } catch (error) {
+      console.error("Error:", error.message);
+      process.exit(1);
+    }
+  });
+
+// Export memory command
+program
+  .command("export-memory")
+  .description(
+    "Export the paired lines of two languages as a translation memory (TMX 1.4 or aligned JSON)"
+  )
+  .argument(
+    "<input>",
+    "Source-language subtitle file, or a directory or glob of episodes paired by filename"
+  )
+  .argument(
+    "[translation]",
+    "Translation subtitle file, when <input> is a file"
+  )
+  .option(
+    "-o, --output <file>",
+    "Output file (default: ./output/memory.<format>)"
+  )
+  .option("-f, --format <format>", "Memory format: 'tmx' or 'json'", "tmx")
+  .option(
+    "-e, --episode <name>",
+    "Episode name of a pair of files (default: from the filename pattern, else the source file name)"
+  )
+  .option(
+    "-p, --pattern <pattern>",
+    "Filename pattern with {episode} and {lang} placeholders",
+    DEFAULT_PATTERN
+  )
+  .option(
+    "-l, --languages <codes>",
+    "The {lang} codes of the source and translation file names, e.g. 'kr,ch' (default: the two codes found)"
+  )
+  .option(
+    "--primary <language>",
+    "Source language of the memory, e.g. 'ko' (default: the first file or code)"
+  )
+  .option(
+    "--remove <items>",
+    "Comma-separated text to remove: notes, sdh, speakers, music, or 'none' (default: from the config file)"
+  )
+  .option(
+    "--dialogue <mode>",
+    "Dialogue dash cues: 'keep', 'strip' the dashes or 'split' into one cue per speaker (default: from the config file, else 'keep')"
+  )
+  .action(async (input, translation, options) => {
+    try {
+      if (!MEMORY_FORMATS[options.format]) {
+        console.error(
+          `Error: Invalid format '${options.format}'. Use 'tmx' or 'json'.`
+        );
+        process.exit(1);
+      }
+
+      const episodes = await exportEpisodes(input, translation, options);
+      if (!episodes.length) {
+        console.error("Error: No episode has files in both languages.");
+        process.exit(1);
+      }
+
+      const output =
+        options.output || path.join("./output", `memory.${options.format}`);
+      fs.ensureDirSync(path.dirname(output));
+
+      await exportMemory(episodes, output, {
+        primary: parseLanguage(options.primary),
+        normalize: normalizeSettings(options),
+        format: options.format,
+      });
+    } catch (error) {
+      console.error("Error:", error.message);
+      process.exit(1);
+    }
+  });
+
+// Lint command
+program
+  .command("lint")
+  .description(
+    "Check subtitle files against timed-text style rules (line length, reading speed, timing, ...)"
+  )
+  .argument("<inputFiles...>", "Paths to the subtitle files")
+  .option(
+    "--preset <name>",
+    "Rule set to start from: 'netflix' or 'basic' (default: the config file's, else 'netflix')"
+  )
+  .option(
+    "--rule <name=value>",
+    "Override a rule, e.g. 'maxCPS=17', 'minGap=83:error' or 'overlap=off' (repeatable)",
+    collect,
+    []
+  )
+  .option(
+    "-l, --language <language>",
+    "Language of the files as a BCP-47 tag, for language-specific rules (default: declared in the file or detected)"
+  )
+  .action(async (inputFiles, options) => {
+    try {
+      // Ensure the input files exist
+      inputFiles.forEach((inputFile) => {
+        if (!fs.existsSync(inputFile)) {
+          console.error(`Error: File ${inputFile} does not exist.`);
+          process.exit(1);
+        }
+      });
+
+      const language = parseLanguage(options.language);
+      const settings = lintSettings(options);
+
+      // Check every file and print its violations
+      const totals = { errors: 0, warnings: 0 };
+      for (const inputFile of inputFiles) {
+        const document = await readDocument(inputFile, { language });
+        const track = document.tracks[0];
+        const violations = lintSubtitles(
+          track.subtitles,
+          settings,
+          track.language
+        );
+        const { errors, warnings } = countViolations(violations);
+
+        if (violations.length) {
+          console.log(formatLintViolations(inputFile, violations));
+        }
+        console.log(`${inputFile}: ${errors} errors, ${warnings} warnings`);
+        totals.errors += errors;
+        totals.warnings += warnings;
+      }
+
+      if (inputFiles.length > 1) {
+        console.log(
+          `Lint summary: ${totals.errors} errors, ${totals.warnings} warnings in ${inputFiles.length} files`
+        );
+      }
+      if (totals.errors) {
+        process.exit(1);
+      }
+    } catch (error) {
+      console.error("Error:", error.message);
+      process.exit(1);
+    }
+  });
+
+// Fix command
+program
+  .command("fix")
+  .description(
+    "Repair timing and line-length problems found by the lint rules, logging every change"
+  )
+  .argument("<inputFiles...>", "Paths to the subtitle files")
+  .option("-o, --output <directory>", "Output directory", "./output")
+  .option(
+    "-f, --format <formats>",
+    "Comma-separated output formats (srt, txt, vtt, ass, html, ttml or a format from the config file)",
+    "srt"
+  )
+  .option(
+    "--preset <name>",
+    "Rule set to start from: 'netflix' or 'basic' (default: the config file's, else 'netflix')"
+  )
+  .option(
+    "--rule <name=value>",
+    "Override a rule, e.g. 'maxCPS=17' or 'minGap=off' (repeatable)",
+    collect,
+    []
+  )
+  .option(
+    "-l, --language <language>",
+    "Language of the files as a BCP-47 tag, for language-specific rules (default: declared in the file or detected)"
+  )
+  .option("--dry-run", "Only list the changes, without writing files")
+  .option(
+    "--remove <items>",
+    "Comma-separated text to remove: notes, sdh, speakers, music, or 'none' (default: from the config file)"
+  )
+  .option(
+    "--dialogue <mode>",
+    "Dialogue dash cues: 'keep', 'strip' the dashes or 'split' into one cue per speaker (default: from the config file, else 'keep')"
+  )
+  .option(
+    "--plain",
+    "Leave italic, bold, colour and position tags out of SRT output"
+  )
+  .action(async (inputFiles, options) => {
+    try {
+      // Ensure the input files exist
+      inputFiles.forEach((inputFile) => {
+        if (!fs.existsSync(inputFile)) {
+          console.error(`Error: File ${inputFile} does not exist.`);
+          process.exit(1);
+        }
+      });
+
+      const formats = parseFormats(options.format);
+      const language = parseLanguage(options.language);
+
+      if (!options.dryRun) {
+        fs.ensureDirSync(options.output);
+      }
+
+      // Fix every file and write the result in each requested format
+      for (const inputFile of inputFiles) {
+        const document = fixDocument(
+          await readDocument(inputFile, {
+            language,
+            normalize: normalizeSettings(options),
+          }),
+          inputFile,
+          options
+        );
+        if (options.dryRun) continue;
+
+        const baseName = `${path.basename(
+          inputFile,
+          path.extname(inputFile)
+        )}-fixed`;
+        for (const format of formats) {
+          const outputPath = path.join(options.output, `${baseName}.${format}`);
+          await writeDocument(document, outputPath, format, {
+            plain: options.plain,
+          });
+          console.log(`Successfully wrote ${outputPath}`);
+        }
+      }
+    } catch (error) {
+      console.error("Error:", error.message);
+      process.exit(1);
+    }
+  });
+
+// Diff command
+program
+  .command("diff")
+  .description(
+    "Compare two versions of a subtitle track: added, removed, retimed and changed cues"
+  )
+  .argument("<oldFile>", "Path to the old version (XML, SRT, VTT or ASS)")
+  .argument("<newFile>", "Path to the new version (XML, SRT, VTT or ASS)")
+  .option(
+    "-t, --tolerance <ms>",
+    "Ignore timing changes of start and end up to this many milliseconds",
+    "0"
+  )
+  .option("--json", "Print the changes as JSON instead of one line per change")
+  .option("-o, --output <file>", "Also write the changes to a JSON file")
+  .option("--no-color", "Do not colour the changes")
+  .action(async (oldFile, newFile, options) => {
+    try {
+      // Ensure the input files exist
+      [oldFile, newFile].forEach((inputFile) => {
+        if (!fs.existsSync(inputFile)) {
+          console.error(`Error: File ${inputFile} does not exist.`);
+          process.exit(1);
+        }
+      });
+
+      const tolerance = Number(options.tolerance);
+      if (!(tolerance >= 0)) {
+        console.error(`Error: Invalid tolerance '${options.tolerance}'.`);
+        process.exit(1);
+      }
+
+      const [oldDocument, newDocument] = await Promise.all([
+        readDocument(oldFile),
+        readDocument(newFile),
+      ]);
+      const { summary, changes } = diffSubtitles(
+        oldDocument.tracks[0].subtitles,
+        newDocument.tracks[0].subtitles,
+        { tolerance }
       );
+      const report = {
+        files: { old: oldFile, new: newFile },
+        tolerance,
+        summary,
+        changes,
+      };
 
-      console.log(
-        `All conversions completed successfully using ${options.mode} mode!`
+      if (options.output) {
+        fs.ensureDirSync(path.dirname(options.output));
+        fs.writeFileSync(
+          options.output,
+          `${JSON.stringify(report, null, 2)}\n`
+        );
+      }
+      if (options.json) {
+        console.log(JSON.stringify(report, null, 2));
+        return;
+      }
+
+      if (changes.length) {
+        console.log(
+          formatDiffChanges(changes, {
+            color:
+              options.color && process.stdout.isTTY && !process.env.NO_COLOR,
+          })
+        );
+      }
+      console.log(`${oldFile} → ${newFile}: ${formatDiffSummary(summary)}`);
+      if (options.output) {
+        console.log(`Diff written to ${options.output}`);
+      }
+    } catch (error) {
+      console.error("Error:", error.message);
+      process.exit(1);
+    }
+  });
+
+// Search command
+program
+  .command("search")
+  .description(
+    "Search the subtitle files of a directory, showing the aligned line of each other language"
+  )
+  .argument("<query>", "Text to find, or a regular expression with --regex")
+  .argument(
+    "[input]",
+    "Directory or glob of subtitle files (XML, SRT, VTT or ASS)",
+    "."
+  )
+  .option("-r, --regex", "Treat the query as a regular expression")
+  .option("-i, --ignore-case", "Ignore case")
+  .option(
+    "-l, --language <language>",
+    "Only search files in this language, e.g. 'ko' (default: all files)"
+  )
+  .option(
+    "-p, --pattern <pattern>",
+    "Filename pattern with {episode} and {lang} placeholders, pairing the languages of an episode",
+    DEFAULT_PATTERN
+  )
+  .option(
+    "--index [file]",
+    "Keep an index of the files, read again only when they change (default file: .subtitles-index.json in the directory)"
+  )
+  .option("--json", "Print the matches as JSON")
+  .option("--no-color", "Do not highlight the matched text")
+  .action(async (query, input, options) => {
+    try {
+      let expression;
+      try {
+        expression = createSearchExpression(query, options);
+      } catch (error) {
+        console.error(`Error: ${error.message}`);
+        process.exit(1);
+      }
+
+      const { matches, searched, indexed, skipped } = await searchSubtitles(
+        input,
+        query,
+        {
+          regex: options.regex,
+          ignoreCase: options.ignoreCase,
+          language: parseLanguage(options.language),
+          pattern: options.pattern,
+          index: options.index,
+        }
       );
+
+      skipped.forEach(({ file, error }) => {
+        console.error(`Skipping ${file}: ${error}`);
+      });
+      if (options.json) {
+        console.log(JSON.stringify({ query, searched, matches }, null, 2));
+        return;
+      }
+
+      if (matches.length) {
+        console.log(
+          formatSearchMatches(matches, {
+            highlight:
+              options.color &&
+              process.stdout.isTTY &&
+              !process.env.NO_COLOR &&
+              expression,
+          })
+        );
+      }
+      console.log(formatSearchSummary(matches, searched));
+      if (options.index && indexed) {
+        console.log(
+          `Indexed ${indexed} new or changed ${
+            indexed === 1 ? "file" : "files"
+          }`
+        );
+      }
+    } catch (error) {
+      console.error("Error:", error.message);
+      process.exit(1);
+    }
+  });
+
+// Default command
+program
+  .command("default")
+  .description(
+    "Process every episode in the current directory (e.g. ep1-kr.xml and ep1-ch.xml)"
+  )
+  .option("-o, --output <directory>", "Output directory", "./output")
+  .option(
+    "-m, --mode <mode>",
+    "Combination mode: 'paired' (match subtitles), 'timeline' (sort by time) or 'merged' (one cue per time segment)",
+    "timeline"
+  )
+  .option(
+    "--primary <language>",
+    "Language shown first in the combined output, e.g. 'ko'"
+  )
+  .action(async (options) => {
+    try {
+      // Validate mode option
+      if (!MODES.includes(options.mode)) {
+        console.error(
+          `Error: Invalid mode '${options.mode}'. Use 'paired', 'timeline' or 'merged'.`
+        );
+        process.exit(1);
+      }
+
+      await runBatch(process.cwd(), options.output, {
+        mode: options.mode,
+        primary: parseLanguage(options.primary),
+        normalize: normalizeSettings(options),
+      });
     } catch (error) {
       console.error("Error:", error.message);
       process.exit(1);
@@ -212,7 +1515,7 @@ program
   });
 
 // Parse command line arguments
-program.parse(process.argv);
+program.parseAsync(process.argv);
 
 // If no arguments are provided, show help
 if (!process.argv.slice(2).length) {
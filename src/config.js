@@ -0,0 +1,70 @@
+/**
+ * Project configuration.
+ *
+ * Settings are read from a JSON file, by default subtitles.config.json in the
+ * working directory:
+ *
+ *   {
+ *     "formats": ["./formats/json-format.js", "subtitle-format-stl"],
+ *     "lint": { "preset": "netflix", "rules": { "maxCPS": 17 } },
+ *     "normalize": { "languages": { "zh": { "remove": ["notes"] } } }
+ *   }
+ *
+ * "formats" lists modules that register extra subtitle formats (see
+ * formats.js), "lint" holds the lint settings (see lint.js) and "normalize"
+ * the text normalisation applied when files are read (see normalize.js).
+ * Paths in the file are relative to the file itself.
+ */
+
+const fs = require("fs-extra");
+const path = require("path");
+const { loadFormatModules } = require("./formats");
+
+const CONFIG_FILE = "subtitles.config.json";
+
+/**
+ * Read a configuration file
+ * @param {string} [configPath] - Path to the file; when omitted, subtitles.config.json
+ *   in the working directory is used if it exists
+ * @returns {Promise<Object>} - The settings, with the directory of the file in `directory`
+ */
+async function loadConfig(configPath) {
+  const filePath = path.resolve(configPath || CONFIG_FILE);
+
+  if (!(await fs.pathExists(filePath))) {
+    if (configPath) {
+      throw new Error(`Config file ${configPath} does not exist.`);
+    }
+    return { directory: process.cwd() };
+  }
+
+  let config;
+  try {
+    config = await fs.readJson(filePath);
+  } catch (error) {
+    throw new Error(`Invalid config file ${filePath}: ${error.message}`);
+  }
+
+  return { ...config, directory: path.dirname(filePath) };
+}
+
+/**
+ * Apply a configuration: register the formats it lists
+ * @param {Object} config - Settings from loadConfig
+ * @returns {Array} - The registered formats
+ */
+function applyConfig(config) {
+  const { formats = [] } = config;
+
+  if (!Array.isArray(formats)) {
+    throw new Error('"formats" in the config file must be a list of modules');
+  }
+
+  return loadFormatModules(formats, config.directory);
+}
+
+module.exports = {
+  CONFIG_FILE,
+  loadConfig,
+  applyConfig,
+};
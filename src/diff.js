@@ -0,0 +1,335 @@
+/**
+ * Comparison of two versions of a subtitle track.
+ *
+ * The cues of both versions are aligned one to one with dynamic programming,
+ * by their text and by their timing once the shift of the whole release is
+ * taken out, so a cue is still found when its text was rewritten. Matched cues whose timing
+ * moved by more than the tolerance are retimed, matched cues with other text
+ * are changed, and cues without a match were removed or added.
+ */
+
+const { overlap } = require("./align");
+const { formatSRTTime } = require("./time");
+
+const DEFAULT_DIFF_OPTIONS = {
+  // Timing changes (ms) of start or end up to this are ignored
+  tolerance: 0,
+  // Cues that do not overlap in time need at least this text similarity
+  minSimilarity: 0.5,
+  // Cues overlapping at least this fraction of the shorter one match
+  // whatever their text
+  minOverlap: 0.5,
+};
+
+// Terminal colours of each kind of change
+const DIFF_COLORS = {
+  removed: "\x1b[31m",
+  added: "\x1b[32m",
+  retimed: "\x1b[33m",
+  changed: "\x1b[36m",
+};
+const RESET_COLOR = "\x1b[0m";
+
+// Marker at the start of each line of the terminal output
+const DIFF_MARKERS = {
+  removed: "-",
+  added: "+",
+  retimed: "~",
+  changed: "!",
+};
+
+/**
+ * Count the character pairs of a text, ignoring case, spaces and punctuation
+ * @param {string} text - The text
+ * @returns {Map} - Map of character pair to count
+ */
+function bigrams(text) {
+  const characters = (text.match(/[\p{L}\p{N}]/gu) || []).map((c) =>
+    c.toLowerCase()
+  );
+  const counts = new Map();
+
+  // A single character counts as a pair with itself
+  const pairs =
+    characters.length === 1
+      ? [characters[0]]
+      : characters.slice(1).map((c, i) => characters[i] + c);
+  pairs.forEach((pair) => counts.set(pair, (counts.get(pair) || 0) + 1));
+  return counts;
+}
+
+/**
+ * Measure how alike two texts are (Dice coefficient of their character pairs)
+ * @param {Map} a - Character pairs of one text, from bigrams
+ * @param {Map} b - Character pairs of the other text
+ * @returns {number} - 1 for the same letters, 0 for nothing in common
+ */
+function similarity(a, b) {
+  const total = [...a.values(), ...b.values()].reduce((sum, n) => sum + n, 0);
+  if (!total) return a.size === b.size ? 1 : 0;
+
+  let shared = 0;
+  a.forEach((count, pair) => {
+    shared += Math.min(count, b.get(pair) || 0);
+  });
+  return (2 * shared) / total;
+}
+
+/**
+ * Describe a cue for the diff
+ * @param {Object} subtitle - The subtitle
+ * @param {number} index - Its position in its file
+ * @returns {Object} - { index, id, start, end, text } with a 1-based index
+ */
+function diffCue(subtitle, index) {
+  return {
+    index: index + 1,
+    id: subtitle.id,
+    start: subtitle.start,
+    end: subtitle.end,
+    text: subtitle.text,
+  };
+}
+
+/**
+ * Estimate how far the new version was shifted as a whole
+ * Lines that occur once in each version are taken to be the same cue; the
+ * median of their start shifts is the offset, so a few edited cues do not
+ * move it.
+ * @param {Array} oldSubtitles - Subtitles of the old version
+ * @param {Array} newSubtitles - Subtitles of the new version
+ * @returns {number} - The offset in milliseconds (0 when nothing matches)
+ */
+function estimateOffset(oldSubtitles, newSubtitles) {
+  const once = (subtitles) => {
+    const counts = new Map();
+    subtitles.forEach((cue) => {
+      const entry = counts.get(cue.text);
+      counts.set(cue.text, entry ? null : cue);
+    });
+    return counts;
+  };
+  const oldLines = once(oldSubtitles);
+  const newLines = once(newSubtitles);
+
+  const shifts = [];
+  oldLines.forEach((cue, text) => {
+    const match = newLines.get(text);
+    if (cue && match) shifts.push(match.start - cue.start);
+  });
+  if (!shifts.length) return 0;
+
+  shifts.sort((x, y) => x - y);
+  return shifts[Math.floor(shifts.length / 2)];
+}
+
+/**
+ * Compare two versions of a subtitle track
+ * @param {Array} oldSubtitles - Subtitles of the old version, in file order
+ * @param {Array} newSubtitles - Subtitles of the new version, in file order
+ * @param {Object} [options] - Overrides for DEFAULT_DIFF_OPTIONS
+ * @returns {Object} - { summary, changes }: counts of each kind of change, and
+ *   the changes in time order as { type, old, new, delta }, where type is
+ *   "added", "removed", "retimed" or "changed", old and new describe the cues
+ *   and delta holds the start and end shift (ms) of matched cues. A changed
+ *   cue that also moved by more than the tolerance has retimed set.
+ */
+function diffSubtitles(oldSubtitles, newSubtitles, options = {}) {
+  const settings = { ...DEFAULT_DIFF_OPTIONS, ...options };
+  const a = oldSubtitles;
+  const b = newSubtitles;
+  const n = a.length;
+  const m = b.length;
+  const width = m + 1;
+  const pairsA = a.map((cue) => bigrams(cue.text));
+  const pairsB = b.map((cue) => bigrams(cue.text));
+  const offset = estimateOffset(a, b);
+
+  /**
+   * Score matching two cues: their text similarity plus their overlap
+   * @param {number} i - Index of the old cue
+   * @param {number} j - Index of the new cue
+   * @returns {number} - The score, or -Infinity when they should not match
+   */
+  const score = (i, j) => {
+    const shorter = Math.min(a[i].end - a[i].start, b[j].end - b[j].start);
+    const shared = overlap(
+      { start: a[i].start + offset, end: a[i].end + offset },
+      b[j]
+    );
+    const fraction = shorter > 0 ? shared / shorter : shared > 0 ? 1 : 0;
+    const textScore =
+      a[i].text === b[j].text ? 1 : similarity(pairsA[i], pairsB[j]);
+
+    if (fraction < settings.minOverlap && textScore < settings.minSimilarity) {
+      return -Infinity;
+    }
+    return textScore + Math.min(fraction, 1);
+  };
+
+  // best[i * width + j] is the best score comparing a[0..i) with b[0..j);
+  // step records whether the last step matched (3), removed (2) or added (1)
+  const best = new Float64Array((n + 1) * width);
+  const step = new Uint8Array((n + 1) * width);
+
+  for (let i = 0; i <= n; i++) {
+    for (let j = 0; j <= m; j++) {
+      const here = i * width + j;
+      if (i === 0 && j === 0) continue;
+
+      best[here] = -Infinity;
+      if (i > 0 && best[here - width] > best[here]) {
+        best[here] = best[here - width];
+        step[here] = 2;
+      }
+      if (j > 0 && best[here - 1] > best[here]) {
+        best[here] = best[here - 1];
+        step[here] = 1;
+      }
+      if (i > 0 && j > 0) {
+        const value = best[here - width - 1] + score(i - 1, j - 1);
+        if (value > best[here]) {
+          best[here] = value;
+          step[here] = 3;
+        }
+      }
+    }
+  }
+
+  // Walk back from the end to recover the changes
+  const summary = {
+    oldCues: n,
+    newCues: m,
+    unchanged: 0,
+    added: 0,
+    removed: 0,
+    retimed: 0,
+    changed: 0,
+  };
+  const changes = [];
+  let i = n;
+  let j = m;
+
+  while (i > 0 || j > 0) {
+    const code = step[i * width + j];
+    if (code === 2) {
+      i--;
+      changes.push({ type: "removed", old: diffCue(a[i], i) });
+    } else if (code === 1) {
+      j--;
+      changes.push({ type: "added", new: diffCue(b[j], j) });
+    } else {
+      i--;
+      j--;
+      const delta = {
+        start: b[j].start - a[i].start,
+        end: b[j].end - a[i].end,
+      };
+      const retimed =
+        Math.abs(delta.start) > settings.tolerance ||
+        Math.abs(delta.end) > settings.tolerance;
+
+      if (a[i].text !== b[j].text) {
+        changes.push({
+          type: "changed",
+          old: diffCue(a[i], i),
+          new: diffCue(b[j], j),
+          delta,
+          retimed,
+        });
+      } else if (retimed) {
+        changes.push({
+          type: "retimed",
+          old: diffCue(a[i], i),
+          new: diffCue(b[j], j),
+          delta,
+        });
+      } else {
+        summary.unchanged++;
+      }
+    }
+  }
+
+  changes.reverse().forEach((change) => {
+    summary[change.type]++;
+  });
+  return { summary, changes };
+}
+
+/**
+ * Format a time shift for the terminal, e.g. "+120 ms"
+ * @param {number} milliseconds - The shift
+ * @returns {string} - The signed shift
+ */
+function formatShift(milliseconds) {
+  return `${milliseconds > 0 ? "+" : ""}${milliseconds} ms`;
+}
+
+/**
+ * Put the lines of a cue's text on one line for the terminal
+ * @param {string} text - The text
+ * @returns {string} - The text with " / " between its lines
+ */
+function oneLine(text) {
+  return text.split("\n").join(" / ");
+}
+
+/**
+ * Format the changes between two files for the terminal
+ * Each line starts with - (removed), + (added), ~ (retimed) or ! (changed),
+ * the cue numbers in the old and new file and the time of the cue.
+ * @param {Array} changes - Changes from diffSubtitles
+ * @param {Object} [options] - Format options
+ * @param {boolean} [options.color] - Colour each line by the kind of change
+ * @returns {string} - One line per change
+ */
+function formatDiffChanges(changes, options = {}) {
+  return changes
+    .map((change) => {
+      const cue = change.old || change.new;
+      const numbers =
+        change.old && change.new
+          ? `${change.old.index} → ${change.new.index}`
+          : `${cue.index}`;
+      const shift =
+        change.delta &&
+        `start ${formatShift(change.delta.start)}, end ${formatShift(
+          change.delta.end
+        )}`;
+
+      let message;
+      if (change.type === "retimed") {
+        message = shift;
+      } else if (change.type === "changed") {
+        message = `"${oneLine(change.old.text)}" → "${oneLine(
+          change.new.text
+        )}"${change.retimed ? ` (${shift})` : ""}`;
+      } else {
+        message = oneLine(cue.text);
+      }
+
+      const line = `${DIFF_MARKERS[change.type]} ${numbers} ${formatSRTTime(
+        cue.start
+      )} ${change.type}: ${message}`;
+      return options.color
+        ? `${DIFF_COLORS[change.type]}${line}${RESET_COLOR}`
+        : line;
+    })
+    .join("\n");
+}
+
+/**
+ * Format the counts of a diff
+ * @param {Object} summary - Summary from diffSubtitles
+ * @returns {string} - e.g. "2 added, 1 removed, 5 retimed, 3 changed, 820 unchanged"
+ */
+function formatDiffSummary(summary) {
+  return `${summary.added} added, ${summary.removed} removed, ${summary.retimed} retimed, ${summary.changed} changed, ${summary.unchanged} unchanged`;
+}
+
+module.exports = {
+  DEFAULT_DIFF_OPTIONS,
+  diffSubtitles,
+  formatDiffChanges,
+  formatDiffSummary,
+};
@@ -0,0 +1,162 @@
+/**
+ * The in-memory subtitle document and the pure library API built on it.
+ *
+ * A SubtitleDocument is { tracks: [{ language, subtitles, source, header }] }:
+ * a file parses to a document with one track, and combining documents
+ * concatenates their tracks. The header holds what a format keeps from the
+ * file besides its subtitles, such as TTML styling, for writing it back.
+ * Nothing here touches the filesystem, so the API can be used on strings and
+ * buffers from anywhere:
+ *
+ *   const doc = parse(xml, { language: "ko" });
+ *   const srt = serialize(retimeDocument(doc, { shift: -2000 }), "srt");
+ */
+
+const { detectFormat, parseContent, writeSubtitles } = require("./formats");
+const { retimeSubtitles } = require("./retime");
+const { estimateSync, applySync } = require("./sync");
+const { normalizeSubtitles } = require("./normalize");
+
+/**
+ * Get the language of a track: the given one, else the one its subtitles carry
+ * @param {Array} subtitles - Subtitles of the track
+ * @param {string} [language] - Explicitly given language
+ * @returns {string|undefined} - The language tag
+ */
+function trackLanguage(subtitles, language) {
+  if (language) return language;
+
+  const labelled = subtitles.find((subtitle) => subtitle.language);
+  return labelled ? labelled.language : undefined;
+}
+
+/**
+ * Create a single-track document from subtitle objects
+ * @param {Array} subtitles - Array of subtitle objects
+ * @param {string} [language] - Language of the track, taken from the subtitles when omitted
+ * @param {string} [source] - Name of the file the subtitles came from, for messages
+ * @returns {Object} - The subtitle document
+ */
+function createDocument(subtitles, language, source) {
+  return {
+    tracks: [
+      { language: trackLanguage(subtitles, language), subtitles, source },
+    ],
+  };
+}
+
+/**
+ * Parse subtitles in any readable format (TTML, SRT, VTT, ASS or a registered one)
+ * @param {string|Buffer} content - The subtitle file content
+ * @param {Object} [options] - Parse options
+ * @param {string} [options.format] - Input format; detected from the file name or content when omitted
+ * @param {string} [options.fileName] - Name of the file, used to detect the format and in messages
+ * @param {string} [options.language] - Language attached to every subtitle; when omitted it is
+ *   read from the content or detected from the script of the text
+ * @returns {Object} - A single-track subtitle document
+ */
+function parse(content, options = {}) {
+  const text = Buffer.isBuffer(content) ? content.toString("utf-8") : content;
+  const format = options.format || detectFormat(options.fileName, text);
+
+  const { subtitles, header } = parseContent(text, format, options.language);
+  const document = createDocument(
+    subtitles,
+    options.language,
+    options.fileName
+  );
+  if (header) document.tracks[0].header = header;
+
+  return document;
+}
+
+/**
+ * Write a document in an output format
+ * A single-track document gives a plain subtitle file; a document with more
+ * tracks gives a combined file.
+ * @param {Object} document - The subtitle document
+ * @param {string} format - Name of any writable format registered in formats.js, e.g. 'srt'
+ * @param {Object} [options] - Write options, such as the combination mode (see writers.js)
+ * @returns {string} - The file content
+ */
+function serialize(document, format, options = {}) {
+  return writeSubtitles(document, format, options);
+}
+
+/**
+ * Combine documents into one document holding all their tracks
+ * @param {Array} documents - The documents, first track first
+ * @returns {Object} - The combined document
+ */
+function combineDocuments(documents) {
+  return { tracks: documents.flatMap((document) => document.tracks) };
+}
+
+/**
+ * Correct the timing of a document's tracks
+ * @param {Object} document - The subtitle document
+ * @param {Object|Array} spec - A retiming specification for every track (see
+ *   retimeSubtitles), or an array with one per track where empty entries are skipped
+ * @returns {Object} - The retimed document
+ */
+function retimeDocument(document, spec) {
+  return {
+    ...document,
+    tracks: document.tracks.map((track, i) => {
+      const trackSpec = Array.isArray(spec) ? spec[i] : spec;
+      return trackSpec
+        ? { ...track, subtitles: retimeSubtitles(track.subtitles, trackSpec) }
+        : track;
+    }),
+  };
+}
+
+/**
+ * Normalise the text of a document's tracks, each for its own language
+ * @param {Object} document - The subtitle document
+ * @param {Object} settings - Normalisation settings { remove, dialogue, languages } (see normalize.js)
+ * @returns {Object} - The normalised document
+ */
+function normalizeDocument(document, settings) {
+  return {
+    ...document,
+    tracks: document.tracks.map((track) => ({
+      ...track,
+      subtitles: normalizeSubtitles(track.subtitles, settings, track.language),
+    })),
+  };
+}
+
+/**
+ * Synchronise every other track of a document to a reference track
+ * Each synchronised track records the estimate it was corrected with in `sync`.
+ * @param {Object} document - The subtitle document
+ * @param {Object} [options] - Sync options
+ * @param {number} [options.reference] - Index of the reference track (default: 0)
+ * @returns {Object} - The synchronised document
+ */
+function syncDocument(document, options = {}) {
+  const { reference = 0 } = options;
+  const referenceSubtitles = document.tracks[reference].subtitles;
+
+  return {
+    ...document,
+    tracks: document.tracks.map((track, i) => {
+      if (i === reference) return track;
+
+      const sync = estimateSync(referenceSubtitles, track.subtitles);
+      return { ...track, subtitles: applySync(track.subtitles, sync), sync };
+    }),
+  };
+}
+
+module.exports = {
+  trackLanguage,
+  createDocument,
+  parse,
+  serialize,
+  combineDocuments,
+  retimeDocument,
+  normalizeDocument,
+  syncDocument,
+};
@@ -0,0 +1,436 @@
+/**
+ * Automatic repair of common timing and line-length problems.
+ *
+ * The fixer uses the same rules as the linter (see lint.js) and applies, in
+ * order: merging tiny fragments into a neighbour, reflowing or splitting cues
+ * that are too long, extending cues that are too short or too fast to read
+ * into free time, and trimming cue ends to keep the minimum gap. Every change
+ * is recorded so it can be reviewed.
+ */
+
+const { formatSRTTime } = require("./time");
+const { resolveLintRules, countCharacters, isCJKLine } = require("./lint");
+const { restyleText, joinSpans } = require("./styles");
+const { UNSPACED, joinText } = require("./normalize");
+
+const DEFAULT_FIX_OPTIONS = {
+  // Largest gap (ms) a fragment may be merged across
+  mergeGap: 500,
+};
+
+// Break points, strongest first: end of a sentence, end of a clause
+const SENTENCE_END = /[.?!…。？！][”"'’」』)）]*\s*$/;
+const CLAUSE_END = /[,;:，、；：]\s*$/;
+// A dialogue line starts with a dash
+const DIALOGUE_DASH = /^[-‐–—]/;
+
+/**
+ * Split a cue's text into dialogue turns (a turn starts with a dash)
+ * @param {string} text - The cue text
+ * @returns {Array} - One string per turn, or a single string when not dialogue
+ */
+function dialogueTurns(text) {
+  const turns = [];
+
+  text.split("\n").forEach((line) => {
+    const trimmed = line.trim();
+    if (!trimmed) return;
+    if (DIALOGUE_DASH.test(trimmed) || !turns.length) {
+      turns.push(trimmed);
+    } else {
+      turns[turns.length - 1] = joinText(turns[turns.length - 1], trimmed);
+    }
+  });
+
+  return turns;
+}
+
+/**
+ * Split text into the smallest pieces a line may break between
+ * Words for spaced scripts; runs up to punctuation for unspaced ones, cut
+ * further into single characters when a run is longer than a line.
+ * @param {string} text - The text, on one line
+ * @param {number} limit - Characters per line
+ * @returns {Array} - Tokens that join back into the text
+ */
+function tokenize(text, limit) {
+  return (text.match(/\S+\s*/g) || []).flatMap((word) => {
+    if (countCharacters(word.trim()) <= limit || !UNSPACED.test(word)) {
+      return [word];
+    }
+    return (
+      word.match(/[^，。！？、；：]+[，。！？、；：]*|[，。！？、；：]+/gu) ||
+      []
+    ).flatMap((run) => (countCharacters(run) <= limit ? [run] : [...run]));
+  });
+}
+
+/**
+ * Wrap text into lines of at most the given length
+ * A text that needs two lines is broken where the lines are most even,
+ * preferring a break after punctuation.
+ * @param {string} text - The text, on one line
+ * @param {number} limit - Characters per line
+ * @returns {Array} - The lines
+ */
+function wrapText(text, limit) {
+  const tokens = tokenize(text, limit);
+  const lines = [];
+  let current = "";
+
+  tokens.forEach((token) => {
+    if (current && countCharacters((current + token).trim()) > limit) {
+      lines.push(current.trim());
+      current = token;
+    } else {
+      current += token;
+    }
+  });
+  if (current.trim()) lines.push(current.trim());
+  if (lines.length !== 2) return lines;
+
+  // Balance the two lines
+  let best = null;
+  for (let k = 1; k < tokens.length; k++) {
+    const first = tokens.slice(0, k).join("").trim();
+    const second = tokens.slice(k).join("").trim();
+    const longest = Math.max(countCharacters(first), countCharacters(second));
+    if (longest > limit) continue;
+
+    const bonus = SENTENCE_END.test(first) || CLAUSE_END.test(first);
+    const score = longest - (bonus ? limit / 4 : 0);
+    if (!best || score < best.score) {
+      best = { score, lines: [first, second] };
+    }
+  }
+
+  return best ? best.lines : lines;
+}
+
+/**
+ * Lay out cue text within the line rules
+ * Each dialogue turn starts on its own line.
+ * @param {string} text - The cue text
+ * @param {Object} rules - Resolved lint rules
+ * @returns {Array} - The lines
+ */
+function layoutText(text, rules) {
+  return dialogueTurns(text).flatMap((turn) => {
+    const rule = isCJKLine(turn) ? rules.maxLineLengthCJK : rules.maxLineLength;
+    return rule ? wrapText(turn, rule.value) : [turn];
+  });
+}
+
+/**
+ * Check whether text fits in one cue
+ * @param {string} text - The cue text
+ * @param {Object} rules - Resolved lint rules
+ * @returns {boolean} - Whether its layout respects the line count
+ */
+function fitsInCue(text, rules) {
+  return (
+    !rules.maxLines || layoutText(text, rules).length <= rules.maxLines.value
+  );
+}
+
+/**
+ * Check whether text breaks the line-length or line-count rules as it stands
+ * @param {string} text - The cue text
+ * @param {Object} rules - Resolved lint rules
+ * @returns {boolean} - Whether it needs to be reflowed
+ */
+function needsReflow(text, rules) {
+  const lines = text.split("\n");
+  if (rules.maxLines && lines.length > rules.maxLines.value) return true;
+
+  return lines.some((line) => {
+    const rule = isCJKLine(line) ? rules.maxLineLengthCJK : rules.maxLineLength;
+    return rule && countCharacters(line) > rule.value;
+  });
+}
+
+/**
+ * Split text that does not fit in one cue into pieces that do
+ * Pieces break between dialogue turns first, then after sentences, then
+ * after clauses, then between words.
+ * @param {string} text - The cue text
+ * @param {Object} rules - Resolved lint rules
+ * @returns {Array} - The text of each piece
+ */
+function splitText(text, rules) {
+  const splitters = [
+    (value) => dialogueTurns(value),
+    (value) =>
+      value.split(
+        /(?<=[.?!…][”"'’)]*)\s+|(?<=[。？！][」』）”]*)(?![」』）”])/u
+      ),
+    (value) => value.split(/(?<=[,;:])\s+|(?<=[，、；：])/u),
+    (value) => value.split(/\s+/),
+    (value) => [...value],
+  ];
+
+  const pack = (value, level) => {
+    const separator = level === 0 ? "\n" : " ";
+    const units = splitters[level](value).filter(Boolean);
+    const pieces = [];
+    let current = "";
+
+    units.forEach((unit) => {
+      const candidate =
+        level === 0
+          ? [current, unit].filter(Boolean).join(separator)
+          : joinText(current, unit);
+      if (fitsInCue(candidate, rules)) {
+        current = candidate;
+        return;
+      }
+      if (current) pieces.push(current);
+      if (fitsInCue(unit, rules) || level === splitters.length - 1) {
+        current = unit;
+      } else {
+        const inner = pack(unit, level + 1);
+        pieces.push(...inner.slice(0, -1));
+        current = inner[inner.length - 1];
+      }
+    });
+    if (current) pieces.push(current);
+
+    return pieces;
+  };
+
+  return pack(text, 0);
+}
+
+/**
+ * Group cues by on-screen position, each group sorted by start time
+ * Cues at different positions may share time, so timing rules apply per group.
+ * @param {Array} cues - The cues
+ * @returns {Array} - Arrays of cues
+ */
+function byPosition(cues) {
+  const groups = new Map();
+
+  cues.forEach((cue) => {
+    const position = cue.displayAlign || "after";
+    if (!groups.has(position)) groups.set(position, []);
+    groups.get(position).push(cue);
+  });
+
+  return [...groups.values()].map((group) =>
+    group.sort((a, b) => a.start - b.start)
+  );
+}
+
+/**
+ * Repair subtitles so they follow the lint rules where possible
+ * @param {Array} subtitles - Array of subtitle objects, in file order
+ * @param {Object} [settings] - Lint settings { preset, rules, languages } plus fix options (see DEFAULT_FIX_OPTIONS)
+ * @param {string} [language] - Language of the track (default: the subtitles' own)
+ * @returns {Object} - { subtitles, changes } with changes as { index, start, action, message }
+ */
+function fixSubtitles(subtitles, settings = {}, language) {
+  const options = { ...DEFAULT_FIX_OPTIONS, ...settings };
+  const trackLanguage =
+    language ||
+    (subtitles.find((subtitle) => subtitle.language) || {}).language;
+  const rules = resolveLintRules(settings, trackLanguage);
+  const minGap = rules.minGap ? rules.minGap.value : 0;
+  const changes = [];
+
+  const log = (cue, action, message) => {
+    changes.push({ index: cue.index, start: cue.start, action, message });
+  };
+
+  // Work on copies that remember their position in the input
+  let cues = subtitles.map((subtitle, i) => ({ ...subtitle, index: i + 1 }));
+
+  // 1. Merge fragments that are too short into the closest neighbour
+  if (rules.minDuration) {
+    byPosition(cues).forEach((group) => {
+      for (let i = 0; i < group.length; i++) {
+        const cue = group[i];
+        if (cue.merged || cue.end - cue.start >= rules.minDuration.value) {
+          continue;
+        }
+
+        const candidates = [group[i - 1], group[i + 1]]
+          .filter((other) => other && !other.merged)
+          .map((other) => ({
+            other,
+            gap:
+              other.start > cue.start
+                ? other.start - cue.end
+                : cue.start - other.end,
+          }))
+          .filter(({ gap }) => gap >= 0 && gap <= options.mergeGap)
+          .sort((a, b) => a.gap - b.gap);
+
+        for (const { other } of candidates) {
+          const [first, second] =
+            other.start < cue.start ? [other, cue] : [cue, other];
+          const text = `${first.text}\n${second.text}`;
+          const end = Math.max(first.end, second.end);
+          if (
+            !fitsInCue(text, rules) ||
+            (rules.maxDuration && end - first.start > rules.maxDuration.value)
+          ) {
+            continue;
+          }
+
+          log(
+            cue,
+            "merge",
+            `Merged ${cue.end - cue.start} ms fragment into cue ${other.index}`
+          );
+          other.text = layoutText(text, rules).join("\n");
+          [other.spans] = restyleText(joinSpans([first, second], "\n"), [
+            other.text,
+          ]);
+          other.start = first.start;
+          other.end = end;
+          cue.merged = true;
+          break;
+        }
+      }
+    });
+    cues = cues.filter((cue) => !cue.merged);
+  }
+
+  // 2. Reflow lines that are too long, and split cues whose text does not fit
+  cues = cues.flatMap((cue) => {
+    if (!needsReflow(cue.text, rules)) return [cue];
+
+    if (fitsInCue(cue.text, rules)) {
+      const text = layoutText(cue.text, rules).join("\n");
+      if (text !== cue.text) {
+        log(cue, "reflow", `Reflowed to "${text.replace(/\n/g, " / ")}"`);
+      }
+      const [spans] = restyleText(cue.spans, [text]);
+      return [{ ...cue, text, spans }];
+    }
+
+    const pieces = splitText(cue.text, rules).map((piece) =>
+      layoutText(piece, rules).join("\n")
+    );
+    const spans = restyleText(cue.spans, pieces);
+    const lengths = pieces.map((piece) => countCharacters(piece));
+    const total = lengths.reduce((sum, length) => sum + length, 0);
+    const duration = cue.end - cue.start;
+    let start = cue.start;
+    let counted = 0;
+
+    log(cue, "split", `Split into ${pieces.length} cues`);
+    return pieces.map((piece, i) => {
+      counted += lengths[i];
+      const end =
+        i === pieces.length - 1
+          ? cue.end
+          : cue.start + Math.round((duration * counted) / total);
+      const part = {
+        ...cue,
+        id: `${cue.id}-${i + 1}`,
+        start,
+        end,
+        text: piece,
+        spans: spans[i],
+      };
+      start = end;
+      return part;
+    });
+  });
+
+  // 3. Extend cues that are too short or too fast to read into free time
+  byPosition(cues).forEach((group) => {
+    group.forEach((cue, i) => {
+      const characters = countCharacters(cue.text.replace(/\n/g, ""));
+      let target = rules.minDuration ? rules.minDuration.value : 0;
+      if (rules.maxCPS && rules.maxCPS.value > 0) {
+        target = Math.max(
+          target,
+          Math.ceil((characters / rules.maxCPS.value) * 1000)
+        );
+      }
+      if (rules.maxDuration) {
+        target = Math.min(target, rules.maxDuration.value);
+      }
+
+      const duration = cue.end - cue.start;
+      if (duration >= target) return;
+
+      const next = group[i + 1];
+      const limit = next ? next.start - minGap : Infinity;
+      const end = Math.min(cue.start + target, limit);
+      if (end > cue.end) {
+        const reason =
+          rules.minDuration && duration < rules.minDuration.value
+            ? "too short"
+            : "reading speed";
+        log(
+          cue,
+          "extend",
+          `Extended end by ${end - cue.end} ms (${reason}), to ${formatSRTTime(
+            end
+          )}`
+        );
+        cue.end = end;
+      }
+    });
+  });
+
+  // 4. Trim cue ends to keep the minimum gap (or no gap) to the next cue
+  byPosition(cues).forEach((group) => {
+    for (let i = 0; i + 1 < group.length; i++) {
+      const cue = group[i];
+      const gap = group[i + 1].start - cue.end;
+      if (gap === 0 || gap >= minGap || group[i + 1].start <= cue.start) {
+        continue;
+      }
+
+      const trimmed = group[i + 1].start - minGap;
+      const end = trimmed > cue.start ? trimmed : group[i + 1].start;
+      log(
+        cue,
+        "trim",
+        gap < 0
+          ? `Trimmed end by ${cue.end - end} ms to end an overlap`
+          : `Trimmed end by ${cue.end - end} ms to keep a ${minGap} ms gap`
+      );
+      cue.end = end;
+    }
+  });
+
+  const fixed = cues
+    .sort((a, b) => a.start - b.start)
+    .map(({ index, merged, spans, ...cue }) =>
+      spans ? { ...cue, spans } : cue
+    );
+
+  return {
+    subtitles: fixed,
+    changes: changes.sort((a, b) => a.index - b.index),
+  };
+}
+
+/**
+ * Format the changes made to a file for the terminal
+ * @param {string} file - The file name
+ * @param {Array} changes - Changes from fixSubtitles
+ * @returns {string} - One line per change
+ */
+function formatFixChanges(file, changes) {
+  return changes
+    .map(
+      (change) =>
+        `${file}:${change.index} ${formatSRTTime(change.start)} ${
+          change.action
+        }: ${change.message}`
+    )
+    .join("\n");
+}
+
+module.exports = {
+  DEFAULT_FIX_OPTIONS,
+  wrapText,
+  fixSubtitles,
+  formatFixChanges,
+};
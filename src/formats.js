@@ -0,0 +1,261 @@
+/**
+ * Registry of subtitle formats.
+ *
+ * Every format registers under a name with a reader and/or a writer:
+ *
+ *   {
+ *     name: "srt",
+ *     extensions: [".srt"],
+ *     detect: (content) => boolean,       // optional content sniffing
+ *     read: (content, language) => subtitles,  // or { subtitles, header }
+ *     write: (document, options) => string,
+ *   }
+ *
+ * Readers return the same subtitle objects as the TTML path. Writers get a
+ * whole document: a single-track document is a plain file, a multi-track one
+ * is combined using options.mode. A reader may also return a header (such
+ * as TTML styling), which is kept on the parsed track as `header`, so a
+ * writer of the same format can write it back. Writers that call textCues get every combine mode for
+ * free. Formats from other packages are registered by listing their modules
+ * under "formats" in the config file.
+ */
+
+const path = require("path");
+const { readTTML } = require("./ttml");
+const { parseSRT, parseVTT, parseASS } = require("./readers");
+const {
+  textCues,
+  formatSRT,
+  formatTXT,
+  formatVTT,
+  formatASS,
+  formatHTML,
+  formatTTML,
+} = require("./writers");
+const { detectLanguage } = require("./language");
+
+// Registered formats by name, in registration order
+const FORMATS = new Map();
+
+/**
+ * Register a subtitle format, replacing any format of the same name
+ * @param {Object} format - { name, extensions, detect, read, write }; read and/or write is required
+ * @returns {Object} - The registered format
+ */
+function registerFormat(format) {
+  if (!format || typeof format.name !== "string" || !format.name) {
+    throw new Error("A subtitle format needs a name");
+  }
+  if (typeof format.read !== "function" && typeof format.write !== "function") {
+    throw new Error(`Format "${format.name}" needs a read or a write function`);
+  }
+
+  const registered = {
+    ...format,
+    name: format.name.toLowerCase(),
+    extensions: (format.extensions || []).map((extension) =>
+      extension.toLowerCase()
+    ),
+  };
+  FORMATS.set(registered.name, registered);
+  return registered;
+}
+
+/**
+ * Get a registered format by name
+ * @param {string} name - The format name, e.g. "srt"
+ * @returns {Object|undefined} - The format, or undefined when not registered
+ */
+function getFormat(name) {
+  return FORMATS.get(String(name).toLowerCase());
+}
+
+/**
+ * List the names of the registered formats
+ * @param {string} [capability] - Only formats that can "read" or "write"
+ * @returns {Array} - Format names in registration order
+ */
+function formatNames(capability) {
+  return [...FORMATS.values()]
+    .filter((format) => !capability || format[capability])
+    .map((format) => format.name);
+}
+
+/**
+ * Detect the format of a subtitle file
+ * Known file extensions win; otherwise the content is sniffed.
+ * @param {string} [filePath] - Path to the file (only the extension is used)
+ * @param {string} content - The file content
+ * @returns {string} - The name of a readable format, e.g. "ttml" or "srt"
+ */
+function detectFormat(filePath, content) {
+  const readable = [...FORMATS.values()].filter((format) => format.read);
+  const extension = path.extname(filePath || "").toLowerCase();
+
+  const byExtension = readable.find((format) =>
+    format.extensions.includes(extension)
+  );
+  if (byExtension) return byExtension.name;
+
+  const head = content.replace(/^\uFEFF/, "").trimStart();
+  const byContent = readable.find(
+    (format) => format.detect && format.detect(head)
+  );
+  if (byContent) return byContent.name;
+
+  throw new Error(
+    `Unable to detect the subtitle format of ${filePath || "the input"}`
+  );
+}
+
+/**
+ * Check whether a file has the extension of a readable format
+ * @param {string} filePath - Path to the file
+ * @returns {boolean} - Whether a registered reader claims the extension
+ */
+function isSubtitleFile(filePath) {
+  const extension = path.extname(filePath).toLowerCase();
+  return [...FORMATS.values()].some(
+    (format) => format.read && format.extensions.includes(extension)
+  );
+}
+
+/**
+ * Parse subtitle content in any readable format, with its header if the format keeps one
+ * Subtitles get the given language, else the one the file declares, else one
+ * guessed from the script of the text (when it can be guessed).
+ * @param {string} content - The file content
+ * @param {string} format - Name of a readable format, e.g. "ttml"
+ * @param {string} [language] - Language attached to every subtitle
+ * @returns {Object} - { subtitles, header }, where header is { format, ...header }
+ *   or undefined when the format has none
+ */
+function parseContent(content, format, language) {
+  const registered = getFormat(format);
+  if (!registered || !registered.read) {
+    throw new Error(`Unsupported input format "${format}"`);
+  }
+
+  const result = registered.read(content, language);
+  const subtitles = Array.isArray(result) ? result : result.subtitles;
+  const header =
+    !Array.isArray(result) && result.header
+      ? { format: registered.name, ...result.header }
+      : undefined;
+
+  // Fall back to the script of the text when the file declares no language
+  if (subtitles.some((subtitle) => !subtitle.language)) {
+    const detected = detectLanguage(subtitles);
+    if (detected) {
+      subtitles.forEach((subtitle) => {
+        subtitle.language = subtitle.language || detected;
+      });
+    }
+  }
+
+  return { subtitles, header };
+}
+
+/**
+ * Parse subtitle content in any readable format
+ * @param {string} content - The file content
+ * @param {string} format - Name of a readable format, e.g. "ttml"
+ * @param {string} [language] - Language attached to every subtitle
+ * @returns {Array} - Array of subtitle objects (see parseContent)
+ */
+function parseSubtitles(content, format, language) {
+  return parseContent(content, format, language).subtitles;
+}
+
+/**
+ * Write a document in any writable format
+ * @param {Object} document - The subtitle document
+ * @param {string} format - Name of a writable format, e.g. "srt"
+ * @param {Object} [options] - Write options, such as the combination mode
+ * @returns {string} - The file content
+ */
+function writeSubtitles(document, format, options = {}) {
+  const registered = getFormat(format);
+  if (!registered || !registered.write) {
+    throw new Error(`Unsupported output format "${format}"`);
+  }
+
+  return registered.write(document, options);
+}
+
+/**
+ * Register the formats exported by modules
+ * A module exports one format object or an array of them. Relative paths are
+ * resolved from the base directory; other names are looked up as packages.
+ * @param {Array} modules - Module paths or package names
+ * @param {string} [baseDirectory] - Directory relative paths start from (default: the working directory)
+ * @returns {Array} - The registered formats
+ */
+function loadFormatModules(modules, baseDirectory = process.cwd()) {
+  return modules.flatMap((name) => {
+    const modulePath = require.resolve(
+      name.startsWith(".") ? path.resolve(baseDirectory, name) : name,
+      { paths: [baseDirectory] }
+    );
+    const exported = require(modulePath);
+
+    return (Array.isArray(exported) ? exported : [exported]).map(
+      registerFormat
+    );
+  });
+}
+
+// Built-in formats
+registerFormat({
+  name: "ttml",
+  extensions: [".xml", ".ttml", ".dfxp"],
+  detect: (content) => content.startsWith("<"),
+  read: readTTML,
+  write: formatTTML,
+});
+registerFormat({
+  name: "srt",
+  extensions: [".srt"],
+  detect: (content) =>
+    /^\d+\s*\r?\n\s*\d+:\d{2}:\d{2}[,.]\d{1,3}\s+-->/.test(content),
+  read: parseSRT,
+  write: formatSRT,
+});
+registerFormat({
+  name: "txt",
+  extensions: [".txt"],
+  write: formatTXT,
+});
+registerFormat({
+  name: "vtt",
+  extensions: [".vtt"],
+  detect: (content) => /^WEBVTT(?:[ \t\r\n]|$)/.test(content),
+  read: parseVTT,
+  write: formatVTT,
+});
+registerFormat({
+  name: "ass",
+  extensions: [".ass", ".ssa"],
+  detect: (content) =>
+    /^\[Script Info\]/i.test(content) || /^\[Events\]/im.test(content),
+  read: parseASS,
+  write: formatASS,
+});
+registerFormat({
+  name: "html",
+  extensions: [".html", ".htm"],
+  write: formatHTML,
+});
+
+module.exports = {
+  registerFormat,
+  getFormat,
+  formatNames,
+  detectFormat,
+  isSubtitleFile,
+  parseContent,
+  parseSubtitles,
+  writeSubtitles,
+  loadFormatModules,
+  textCues,
+};
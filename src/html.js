@@ -0,0 +1,172 @@
+/**
+ * Helpers for the HTML transcript format.
+ *
+ * A transcript is one self-contained page: a table with a timestamp column
+ * and one column per language, with the CSS and script inlined so the file
+ * works offline. The page has a search box, and a switch per language that
+ * hides its column for self-testing (a hidden line shows again on click).
+ */
+
+const { formatVTTTime } = require("./vtt");
+
+/**
+ * Escape text for HTML content and attribute values
+ * @param {string} text - The text
+ * @returns {string} - The escaped text
+ */
+function escapeHTML(text) {
+  return String(text)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
+/**
+ * Write subtitle text as HTML, keeping italic, bold and colour
+ * @param {string} text - The plain text
+ * @param {Array} [spans] - Spans of the text, if styled
+ * @returns {string} - The HTML, with <br> for line breaks
+ */
+function formatHTMLText(text, spans) {
+  return (spans || [{ text }])
+    .map((span) => {
+      let html = escapeHTML(span.text).replace(/\n/g, "<br>");
+      if (span.italic) html = `<i>${html}</i>`;
+      if (span.bold) html = `<b>${html}</b>`;
+      if (span.color) {
+        html = `<span style="color: ${escapeHTML(span.color)}">${html}</span>`;
+      }
+      return html;
+    })
+    .join("");
+}
+
+const HTML_STYLE = `
+body { margin: 0; font-family: system-ui, sans-serif; color: #222; background: #fff; }
+header { position: sticky; top: 0; display: flex; flex-wrap: wrap; gap: 0.5em 1.5em; align-items: center; padding: 0.75em 1em; background: #f4f4f4; border-bottom: 1px solid #ddd; }
+h1 { margin: 0; font-size: 1.1em; }
+input[type="search"] { min-width: 16em; padding: 0.3em 0.5em; font-size: 1em; }
+#count { color: #666; font-size: 0.9em; }
+table { width: 100%; border-collapse: collapse; }
+th, td { padding: 0.4em 1em; text-align: left; vertical-align: top; border-bottom: 1px solid #eee; }
+th { color: #666; font-weight: normal; }
+td.time { white-space: nowrap; font-family: ui-monospace, monospace; font-size: 0.85em; }
+td.time a { color: #36c; text-decoration: none; }
+tr:target, tr.current { background: #fff6d5; }
+td.hidden { color: transparent; background: #eee; cursor: pointer; user-select: none; }
+td.hidden * { color: transparent !important; }
+`;
+
+const HTML_SCRIPT = `
+(function () {
+  var rows = Array.prototype.slice.call(document.querySelectorAll("tbody tr"));
+  var search = document.getElementById("search");
+  var count = document.getElementById("count");
+
+  function filter() {
+    var query = search.value.trim().toLowerCase();
+    var shown = 0;
+    rows.forEach(function (row) {
+      var match = !query || row.textContent.toLowerCase().indexOf(query) !== -1;
+      row.hidden = !match;
+      if (match) shown++;
+    });
+    count.textContent = query ? shown + " of " + rows.length + " lines" : rows.length + " lines";
+  }
+
+  function hideColumn(column, hide) {
+    document.querySelectorAll('td[data-column="' + column + '"]').forEach(function (cell) {
+      cell.classList.toggle("hidden", hide);
+    });
+  }
+
+  search.addEventListener("input", filter);
+  document.querySelectorAll("input[data-column]").forEach(function (box) {
+    box.addEventListener("change", function () {
+      hideColumn(box.getAttribute("data-column"), !box.checked);
+    });
+  });
+  document.querySelector("tbody").addEventListener("click", function (event) {
+    var cell = event.target.closest("td.hidden");
+    if (cell) cell.classList.remove("hidden");
+
+    var link = event.target.closest("td.time a");
+    if (link) {
+      rows.forEach(function (row) { row.classList.remove("current"); });
+      link.closest("tr").classList.add("current");
+      if (navigator.clipboard) navigator.clipboard.writeText(link.textContent).catch(function () {});
+    }
+  });
+  filter();
+})();
+`;
+
+/**
+ * Write a transcript page
+ * @param {Object} transcript - The transcript
+ * @param {string} transcript.title - Title of the page
+ * @param {Array} transcript.columns - One { language, name } object per text column
+ * @param {Array} transcript.rows - Rows { start, end, cells }, where cells holds
+ *   the HTML of each column (empty when a language has no line)
+ * @returns {string} - The HTML document
+ */
+function formatHTMLPage(transcript) {
+  const { title, columns, rows } = transcript;
+  const lang = (language) =>
+    language ? ` lang="${escapeHTML(language)}"` : "";
+
+  let html = "<!DOCTYPE html>\n";
+  html += `<html${lang(columns.length === 1 && columns[0].language)}>\n`;
+  html += "<head>\n";
+  html += '<meta charset="utf-8">\n';
+  html +=
+    '<meta name="viewport" content="width=device-width, initial-scale=1">\n';
+  html += `<title>${escapeHTML(title)}</title>\n`;
+  html += `<style>${HTML_STYLE}</style>\n`;
+  html += "</head>\n";
+  html += "<body>\n";
+  html += "<header>\n";
+  html += `<h1>${escapeHTML(title)}</h1>\n`;
+  html +=
+    '<input type="search" id="search" placeholder="Search" aria-label="Search">\n';
+  columns.forEach((column, i) => {
+    html += `<label><input type="checkbox" data-column="${i}" checked> ${escapeHTML(
+      column.name
+    )}</label>\n`;
+  });
+  html += '<span id="count"></span>\n';
+  html += "</header>\n";
+  html += "<table>\n";
+  html += "<thead><tr><th>Time</th>";
+  columns.forEach((column) => {
+    html += `<th${lang(column.language)}>${escapeHTML(column.name)}</th>`;
+  });
+  html += "</tr></thead>\n";
+  html += "<tbody>\n";
+
+  rows.forEach((row, index) => {
+    const id = `line-${index + 1}`;
+    const timing = `${formatVTTTime(row.start)} --> ${formatVTTTime(row.end)}`;
+    html += `<tr id="${id}"><td class="time"><a href="#${id}" title="${escapeHTML(
+      timing
+    )}">${formatVTTTime(row.start)}</a></td>`;
+    row.cells.forEach((cell, i) => {
+      html += `<td data-column="${i}"${lang(columns[i].language)}>${cell}</td>`;
+    });
+    html += "</tr>\n";
+  });
+
+  html += "</tbody>\n";
+  html += "</table>\n";
+  html += `<script>${HTML_SCRIPT}</script>\n`;
+  html += "</body>\n";
+  html += "</html>\n";
+  return html;
+}
+
+module.exports = {
+  escapeHTML,
+  formatHTMLText,
+  formatHTMLPage,
+};
@@ -1,646 +1,1023 @@
-const { XMLParser } = require("fast-xml-parser");
 const fs = require("fs-extra");
 const path = require("path");
+const {
+  trackLanguage,
+  createDocument,
+  parse,
+  serialize,
+  combineDocuments,
+  retimeDocument,
+  normalizeDocument,
+  syncDocument,
+} = require("./document");
+const {
+  registerFormat,
+  getFormat,
+  formatNames,
+  loadFormatModules,
+  isSubtitleFile,
+  textCues,
+} = require("./formats");
+const { alignSubtitles } = require("./align");
+const {
+  shiftSubtitles,
+  stretchSubtitles,
+  convertFramerate,
+  retimeSubtitles,
+} = require("./retime");
+const { estimateSync, applySync, describeSync } = require("./sync");
+const { matchesLanguage } = require("./language");
+const { buildAlignmentReport, formatReportSummary } = require("./report");
+const { LINT_PRESETS, resolveLintRules, lintSubtitles } = require("./lint");
+const { fixSubtitles } = require("./fix");
+const { diffSubtitles } = require("./diff");
+const { normalizeSubtitles } = require("./normalize");
+
+const {
+  DEFAULT_PATTERN,
+  listInputFiles,
+  groupEpisodes,
+  episodeCodes,
+  runConcurrently,
+  formatBatchSummary,
+} = require("./batch");
+const {
+  buildStudyRows,
+  filterStudyRows,
+  formatStudyTable,
+} = require("./study");
+const { buildMemoryUnits, formatMemory } = require("./memory");
+const {
+  SEARCH_INDEX_FILE,
+  SEARCH_INDEX_VERSION,
+  buildSearchEntries,
+  createSearchExpression,
+  searchEntries,
+} = require("./search");
 
-// Create output directories
-const outputDir = path.join(__dirname, "..", "output");
-fs.ensureDirSync(outputDir);
-
-// Configure XML parser
-const parser = new XMLParser({
-  ignoreAttributes: false,
-  attributeNamePrefix: "@_",
-  isArray: (name, jpath, isLeafNode, isAttribute) => {
-    return name === "p";
-  },
-});
+/**
+ * Read a subtitle file in any supported format (TTML, SRT, VTT or ASS)
+ * The format is detected from the file extension, or by sniffing the content.
+ * @param {string} filePath - Path to the subtitle file
+ * @param {Object} [options] - Read options
+ * @param {string} [options.language] - Language attached to every subtitle; when omitted it
+ *   is read from the file or detected from the script of the text
+ * @param {Object} [options.normalize] - Text normalisation applied after parsing (see normalizeSubtitles)
+ * @param {Object} [options.retime] - Timing correction applied after parsing (see retimeSubtitles)
+ * @returns {Promise<Object>} - A single-track subtitle document
+ */
+async function readDocument(filePath, options = {}) {
+  let document = parse(await fs.readFile(filePath), {
+    fileName: filePath,
+    language: options.language,
+  });
+
+  if (options.normalize) {
+    document = normalizeDocument(document, options.normalize);
+  }
+  return options.retime ? retimeDocument(document, options.retime) : document;
+}
 
 /**
- * Convert time in TTML format (tickRate) to SRT format (HH:MM:SS,mmm)
- * @param {string} time - Time in TTML format (e.g., "140140000t")
- * @param {number} tickRate - The tick rate from the TTML file
- * @returns {string} - Time in SRT format (e.g., "00:00:14,014")
+ * Read the subtitles of a file in any supported format (TTML, SRT, VTT or ASS)
+ * @param {string} filePath - Path to the subtitle file
+ * @param {string} [language] - Language attached to every subtitle; when omitted it is
+ *   read from the file or detected from the script of the text
+ * @param {Object} [options] - Read options
+ * @param {Object} [options.retime] - Timing correction applied after parsing (see retimeSubtitles)
+ * @returns {Promise<Array>} - Array of subtitle objects
  */
-function convertTimeToSRT(time, tickRate) {
-  // Remove the 't' suffix if present
-  const timeValue = parseInt(time.toString().replace("t", ""));
-
-  // Convert to seconds
-  const totalSeconds = timeValue / tickRate;
-
-  // Calculate hours, minutes, seconds, and milliseconds
-  const hours = Math.floor(totalSeconds / 3600);
-  const minutes = Math.floor((totalSeconds % 3600) / 60);
-  const seconds = Math.floor(totalSeconds % 60);
-  const milliseconds = Math.floor(
-    (totalSeconds - Math.floor(totalSeconds)) * 1000
-  );
+async function readSubtitles(filePath, language, options = {}) {
+  const document = await readDocument(filePath, { ...options, language });
+  return document.tracks[0].subtitles;
+}
 
-  // Format the time string
-  return `${hours.toString().padStart(2, "0")}:${minutes
-    .toString()
-    .padStart(2, "0")}:${seconds.toString().padStart(2, "0")},${milliseconds
-    .toString()
-    .padStart(3, "0")}`;
+/**
+ * Find the language of a subtitle file, from its declaration or its text
+ * @param {string} filePath - Path to the subtitle file
+ * @returns {Promise<string|undefined>} - The language tag, or undefined when unknown
+ */
+async function detectFileLanguage(filePath) {
+  return (await readDocument(filePath)).tracks[0].language;
 }
 
 /**
- * Extract subtitle entries from XML content using regex
- * @param {string} xmlContent - The XML content as a string
- * @param {string} language - The language of the XML content ('kr' or 'ch')
- * @returns {Array} - Array of subtitle objects
+ * Apply the timing options of a combine operation to a document
+ * @param {Object} document - The combined document
+ * @param {Object} [options] - Combine options
+ * @param {Array} [options.retime] - Timing correction for each track, e.g. [null, { shift: -3000 }]
+ * @param {boolean} [options.autosync] - Synchronise every other track to the reference after any retiming
+ * @param {number} [options.reference] - Index of the reference track (default: 0)
+ * @returns {Object} - The corrected document
  */
-function extractSubtitlesWithRegex(xmlContent, language) {
-  const subtitles = [];
-
-  if (language === "kr") {
-    // Korean XML format
-    const subtitleRegex =
-      /<p xml:id="subtitle\d+" begin="(\d+t)" end="(\d+t)" region="region\d+" style="style\d+">([\s\S]*?)<\/p>/g;
-    let match;
-
-    while ((match = subtitleRegex.exec(xmlContent)) !== null) {
-      const begin = match[1];
-      const end = match[2];
-      const text = match[3].replace(/<br\/>/g, "\n");
-
-      subtitles.push({
-        begin,
-        end,
-        text,
-      });
-    }
-  } else if (language === "ch") {
-    // Chinese XML format
-    const subtitleRegex =
-      /<p xml:id="subtitle\d+" begin="(\d+t)" end="(\d+t)" region="region\d+">([\s\S]*?)<\/p>/g;
-    let match;
-
-    while ((match = subtitleRegex.exec(xmlContent)) !== null) {
-      const begin = match[1];
-      const end = match[2];
-      const content = match[3];
-
-      // Extract text from span tags
-      let text = "";
-      const spanRegex = /<span[^>]*>([\s\S]*?)<\/span>/g;
-      let spanMatch;
-
-      while ((spanMatch = spanRegex.exec(content)) !== null) {
-        if (text) {
-          text += "\n";
-        }
-        text += spanMatch[1];
+function correctTiming(document, options = {}) {
+  let result = options.retime
+    ? retimeDocument(document, options.retime)
+    : document;
+
+  if (options.autosync) {
+    result = syncDocument(result, options);
+    result.tracks.forEach((track) => {
+      if (track.sync) {
+        console.log(`Autosync ${track.source}: ${describeSync(track.sync)}`);
       }
-
-      // Replace <br/> tags with newlines
-      text = text.replace(/<br\/>/g, "\n");
-
-      subtitles.push({
-        begin,
-        end,
-        text,
-      });
-    }
+    });
   }
 
-  return subtitles;
+  return result;
 }
 
 /**
- * Convert XML subtitle file to SRT format
- * @param {string} xmlFilePath - Path to the XML file
- * @param {string} outputFilePath - Path to the output SRT file
- * @param {string} language - The language of the XML file ('kr' or 'ch')
+ * Read the input files of a combine operation into one document
+ * @param {Array} tracks - Array of { file, language } objects, one per input file
+ * @param {Object} [options] - Combine options, e.g. { normalize, retime, autosync, reference }
+ *   (see readDocument and correctTiming)
+ * @returns {Promise<Object>} - A document with one track per file
  */
-async function convertToSRT(xmlFilePath, outputFilePath, language) {
-  try {
-    // Read the XML file
-    const xmlData = await fs.readFile(xmlFilePath, "utf-8");
-
-    // Extract the tick rate
-    const tickRateMatch = xmlData.match(/ttp:tickRate="(\d+)"/);
-    const tickRate = tickRateMatch ? parseInt(tickRateMatch[1]) : 10000000;
-
-    // Extract subtitles using regex
-    const subtitles = extractSubtitlesWithRegex(xmlData, language);
+async function readTracks(tracks, options = {}) {
+  const documents = await Promise.all(
+    tracks.map((track) =>
+      readDocument(track.file, {
+        language: track.language,
+        normalize: options.normalize,
+      })
+    )
+  );
 
-    // Generate SRT content
-    let srtContent = "";
+  return correctTiming(combineDocuments(documents), options);
+}
 
-    subtitles.forEach((subtitle, index) => {
-      const startTime = convertTimeToSRT(subtitle.begin, tickRate);
-      const endTime = convertTimeToSRT(subtitle.end, tickRate);
+/**
+ * Write a document to a file in an output format
+ * @param {Object} document - The subtitle document
+ * @param {string} outputFilePath - Path to the output file
+ * @param {string} format - Output format: 'srt', 'txt', 'vtt', 'ass', 'html', 'ttml' or a registered format
+ * @param {Object} [options] - Write options, e.g. { mode } (see serialize)
+ */
+async function writeDocument(document, outputFilePath, format, options = {}) {
+  await fs.writeFile(outputFilePath, serialize(document, format, options));
+}
 
-      // Format SRT entry
-      srtContent += `${index + 1}\n`;
-      srtContent += `${startTime} --> ${endTime}\n`;
-      srtContent += `${subtitle.text}\n\n`;
+/**
+ * Convert a subtitle file to another format
+ * @param {string} inputFilePath - Path to the subtitle file (XML, SRT, VTT or ASS)
+ * @param {string} outputFilePath - Path to the output file
+ * @param {string} format - Output format: 'srt', 'txt', 'vtt', 'ass', 'html', 'ttml' or a registered format
+ * @param {string} [language] - Language of the subtitle file (e.g. 'ko' or 'zh-Hant'), detected when omitted
+ * @param {Object} [options] - Read options, e.g. { retime } (see readDocument)
+ * @returns {Promise<Array>} - The converted subtitle objects
+ */
+async function convertFile(
+  inputFilePath,
+  outputFilePath,
+  format,
+  language,
+  options = {}
+) {
+  try {
+    const document = await readDocument(inputFilePath, {
+      ...options,
+      language,
     });
 
-    // Write to output file
-    await fs.writeFile(outputFilePath, srtContent);
-    console.log(`Successfully converted ${xmlFilePath} to ${outputFilePath}`);
+    await writeDocument(document, outputFilePath, format);
+    console.log(`Successfully converted ${inputFilePath} to ${outputFilePath}`);
 
-    return subtitles;
+    return document.tracks[0].subtitles;
   } catch (error) {
-    console.error(`Error converting ${xmlFilePath} to SRT:`, error);
+    console.error(
+      `Error converting ${inputFilePath} to ${format.toUpperCase()}:`,
+      error
+    );
     throw error;
   }
 }
 
 /**
- * Convert XML subtitle file to TXT format
- * @param {string} xmlFilePath - Path to the XML file
+ * Convert a subtitle file to SRT format
+ * @param {string} xmlFilePath - Path to the subtitle file (XML, SRT, VTT or ASS)
+ * @param {string} outputFilePath - Path to the output SRT file
+ * @param {string} [language] - Language of the subtitle file (e.g. 'ko' or 'zh-Hant'), detected when omitted
+ * @param {Object} [options] - Read options, e.g. { retime } (see readDocument)
+ */
+async function convertToSRT(
+  xmlFilePath,
+  outputFilePath,
+  language,
+  options = {}
+) {
+  return convertFile(xmlFilePath, outputFilePath, "srt", language, options);
+}
+
+/**
+ * Convert a subtitle file to TXT format
+ * @param {string} xmlFilePath - Path to the subtitle file (XML, SRT, VTT or ASS)
  * @param {string} outputFilePath - Path to the output TXT file
- * @param {string} language - The language of the XML file ('kr' or 'ch')
+ * @param {string} [language] - Language of the subtitle file (e.g. 'ko' or 'zh-Hant'), detected when omitted
+ * @param {Object} [options] - Read options, e.g. { retime } (see readDocument)
  */
-async function convertToTXT(xmlFilePath, outputFilePath, language) {
-  try {
-    // Read the XML file
-    const xmlData = await fs.readFile(xmlFilePath, "utf-8");
+async function convertToTXT(
+  xmlFilePath,
+  outputFilePath,
+  language,
+  options = {}
+) {
+  return convertFile(xmlFilePath, outputFilePath, "txt", language, options);
+}
 
-    // Extract subtitles using regex
-    const subtitles = extractSubtitlesWithRegex(xmlData, language);
+/**
+ * Convert a subtitle file to WebVTT format
+ * Cues in top or middle TTML regions keep their placement via cue settings.
+ * @param {string} xmlFilePath - Path to the subtitle file (XML, SRT, VTT or ASS)
+ * @param {string} outputFilePath - Path to the output VTT file
+ * @param {string} [language] - Language of the subtitle file (e.g. 'ko' or 'zh-Hant'), detected when omitted
+ * @param {Object} [options] - Read options, e.g. { retime } (see readDocument)
+ */
+async function convertToVTT(
+  xmlFilePath,
+  outputFilePath,
+  language,
+  options = {}
+) {
+  return convertFile(xmlFilePath, outputFilePath, "vtt", language, options);
+}
 
-    // Generate TXT content
-    let txtContent = "";
+/**
+ * Convert a subtitle file to ASS format
+ * Cues in top or middle TTML regions keep their placement via {\an} overrides.
+ * @param {string} xmlFilePath - Path to the subtitle file (XML, SRT, VTT or ASS)
+ * @param {string} outputFilePath - Path to the output ASS file
+ * @param {string} [language] - Language of the subtitle file (e.g. 'ko' or 'zh-Hant'), detected when omitted
+ * @param {Object} [options] - Read options, e.g. { retime } (see readDocument)
+ */
+async function convertToASS(
+  xmlFilePath,
+  outputFilePath,
+  language,
+  options = {}
+) {
+  return convertFile(xmlFilePath, outputFilePath, "ass", language, options);
+}
 
-    subtitles.forEach((subtitle) => {
-      txtContent += `${subtitle.text}\n\n`;
-    });
+/**
+ * Convert a subtitle file to a self-contained HTML transcript
+ * @param {string} xmlFilePath - Path to the subtitle file (XML, SRT, VTT or ASS)
+ * @param {string} outputFilePath - Path to the output HTML file
+ * @param {string} [language] - Language of the subtitle file (e.g. 'ko' or 'zh-Hant'), detected when omitted
+ * @param {Object} [options] - Read options, e.g. { retime } (see readDocument)
+ */
+async function convertToHTML(
+  xmlFilePath,
+  outputFilePath,
+  language,
+  options = {}
+) {
+  return convertFile(xmlFilePath, outputFilePath, "html", language, options);
+}
 
-    // Write to output file
-    await fs.writeFile(outputFilePath, txtContent);
-    console.log(`Successfully converted ${xmlFilePath} to ${outputFilePath}`);
+/**
+ * Convert a subtitle file to TTML (IMSC 1.1)
+ * A TTML input keeps its header (styling, regions, metadata and tick rate),
+ * so a retimed or cleaned-up file can be saved back as TTML.
+ * @param {string} xmlFilePath - Path to the subtitle file (XML, SRT, VTT or ASS)
+ * @param {string} outputFilePath - Path to the output TTML file
+ * @param {string} [language] - Language of the subtitle file (e.g. 'ko' or 'zh-Hant'), detected when omitted
+ * @param {Object} [options] - Read options, e.g. { retime } (see readDocument)
+ */
+async function convertToTTML(
+  xmlFilePath,
+  outputFilePath,
+  language,
+  options = {}
+) {
+  return convertFile(xmlFilePath, outputFilePath, "ttml", language, options);
+}
+
+/**
+ * Combine any number of subtitle tracks into one file
+ * Timeline and paired modes accept two or more tracks; merged mode takes
+ * exactly two.
+ * @param {Array} tracks - Array of { file, language } objects, first track first;
+ *   a missing language is read from the file or detected
+ * @param {string} outputFilePath - Path to the output file
+ * @param {string} format - Output format: 'srt', 'txt', 'vtt', 'ass', 'html', 'ttml' or a registered format
+ * @param {string} mode - The combination mode ('paired', 'timeline' or 'merged')
+ * @param {Object} [options] - Combine options, indexed by track where per-file
+ * @param {number} [options.reference] - Paired mode: index of the track the others are aligned to (default: 0)
+ * @param {Object} [options.normalize] - Text normalisation of every track (see normalizeSubtitles)
+ * @param {Array} [options.retime] - Timing correction for each track
+ * @param {boolean} [options.autosync] - Synchronise every other track to the reference
+ * @param {Array} [options.positions] - VTT/ASS/TTML placement for each track
+ * @param {Array} [options.styles] - ASS style overrides for each track
+ * @param {Array} [options.order] - Merged mode: track numbers from top to bottom, e.g. [2, 1]
+ * @param {number} [options.snap] - Merged mode: distance (ms) under which boundaries are merged
+ * @param {boolean} [options.labels] - Timeline mode: prefix each SRT/TXT subtitle with the name of its language
+ */
+async function combineTracks(
+  tracks,
+  outputFilePath,
+  format,
+  mode = "timeline",
+  options = {}
+) {
+  if (tracks.length < 2) {
+    throw new Error("Combining needs at least two subtitle files");
+  }
+  if (mode === "merged" && tracks.length !== 2) {
+    throw new Error("Merged mode combines exactly two subtitle files");
+  }
+
+  const name = format.toUpperCase();
+
+  try {
+    // Read all subtitle files
+    const document = await readTracks(tracks, options);
 
-    return subtitles;
+    await writeDocument(document, outputFilePath, format, {
+      ...options,
+      mode,
+    });
+    console.log(
+      `Successfully created combined ${name} file (${mode} mode): ${outputFilePath}`
+    );
   } catch (error) {
-    console.error(`Error converting ${xmlFilePath} to TXT:`, error);
+    console.error(`Error creating combined ${name} file:`, error);
     throw error;
   }
 }
 
 /**
- * Create a combined SRT file from two XML files using the pairing method
- * @param {string} xmlFile1 - Path to the first XML file
- * @param {string} xmlFile2 - Path to the second XML file
+ * Create a combined SRT file from two subtitle files
+ * @param {string} xmlFile1 - Path to the first subtitle file
+ * @param {string} xmlFile2 - Path to the second subtitle file
  * @param {string} outputFilePath - Path to the output SRT file
- * @param {string} language1 - The language of the first XML file ('kr' or 'ch')
- * @param {string} language2 - The language of the second XML file ('kr' or 'ch')
+ * @param {string} language1 - Language of the first subtitle file (e.g. 'ko' or 'zh-Hant'), detected when omitted
+ * @param {string} language2 - Language of the second subtitle file (e.g. 'ko' or 'zh-Hant'), detected when omitted
+ * @param {string} mode - The combination mode ('paired', 'timeline' or 'merged')
+ * @param {Object} [options] - Combine options, see combineTracks
  */
-async function createCombinedSRTPaired(
+async function createCombinedSRT(
   xmlFile1,
   xmlFile2,
   outputFilePath,
   language1,
-  language2
+  language2,
+  mode = "timeline",
+  options = {}
 ) {
-  try {
-    // Read both XML files
-    const xmlData1 = await fs.readFile(xmlFile1, "utf-8");
-    const xmlData2 = await fs.readFile(xmlFile2, "utf-8");
-
-    // Extract the tick rates
-    const tickRateMatch1 = xmlData1.match(/ttp:tickRate="(\d+)"/);
-    const tickRateMatch2 = xmlData2.match(/ttp:tickRate="(\d+)"/);
-    const tickRate1 = tickRateMatch1 ? parseInt(tickRateMatch1[1]) : 10000000;
-    const tickRate2 = tickRateMatch2 ? parseInt(tickRateMatch2[1]) : 10000000;
-
-    // Extract subtitles using regex
-    const subtitles1 = extractSubtitlesWithRegex(xmlData1, language1);
-    const subtitles2 = extractSubtitlesWithRegex(xmlData2, language2);
-
-    // Sort subtitles by begin time
-    subtitles1.sort(
-      (a, b) =>
-        parseInt(a.begin.replace("t", "")) - parseInt(b.begin.replace("t", ""))
-    );
-    subtitles2.sort(
-      (a, b) =>
-        parseInt(a.begin.replace("t", "")) - parseInt(b.begin.replace("t", ""))
-    );
-
-    // Generate combined SRT content
-    let srtContent = "";
-    let index = 1;
-
-    // Use dynamic time warping approach to match subtitles
-    let j = 0; // Index for subtitles2
-
-    for (let i = 0; i < subtitles1.length; i++) {
-      const subtitle1 = subtitles1[i];
-      const startTime1 = parseInt(subtitle1.begin.replace("t", ""));
-      const endTime1 = parseInt(subtitle1.end.replace("t", ""));
-
-      // Find the best matching subtitle in the second language
-      let bestMatch = null;
-      let bestMatchIndex = -1;
-      let minTimeDiff = Number.MAX_SAFE_INTEGER;
-
-      // Look ahead in a window of 10 subtitles to find the best match
-      const searchWindow = 10;
-      const startJ = Math.max(0, j - 2); // Allow for some backtracking
-      const endJ = Math.min(subtitles2.length, startJ + searchWindow);
-
-      for (let k = startJ; k < endJ; k++) {
-        const subtitle2 = subtitles2[k];
-        const startTime2 = parseInt(subtitle2.begin.replace("t", ""));
-        const timeDiff = Math.abs(startTime1 - startTime2);
-
-        if (timeDiff < minTimeDiff) {
-          minTimeDiff = timeDiff;
-          bestMatch = subtitle2;
-          bestMatchIndex = k;
-        }
-      }
+  return combineTracks(
+    [
+      { file: xmlFile1, language: language1 },
+      { file: xmlFile2, language: language2 },
+    ],
+    outputFilePath,
+    "srt",
+    mode,
+    options
+  );
+}
 
-      // Format SRT entry
-      srtContent += `${index++}\n`;
-      srtContent += `${convertTimeToSRT(
-        subtitle1.begin,
-        tickRate1
-      )} --> ${convertTimeToSRT(subtitle1.end, tickRate1)}\n`;
-      srtContent += `${subtitle1.text}\n`;
-
-      if (bestMatch && minTimeDiff < 10000000) {
-        // 1 second threshold
-        srtContent += `${bestMatch.text}\n`;
-        // Update j to the position after the best match to maintain sequence
-        j = bestMatchIndex + 1;
-      }
+/**
+ * Create a combined TXT file from two subtitle files
+ * @param {string} xmlFile1 - Path to the first subtitle file
+ * @param {string} xmlFile2 - Path to the second subtitle file
+ * @param {string} outputFilePath - Path to the output TXT file
+ * @param {string} language1 - Language of the first subtitle file (e.g. 'ko' or 'zh-Hant'), detected when omitted
+ * @param {string} language2 - Language of the second subtitle file (e.g. 'ko' or 'zh-Hant'), detected when omitted
+ * @param {string} mode - The combination mode ('paired', 'timeline' or 'merged')
+ * @param {Object} [options] - Combine options, see combineTracks
+ */
+async function createCombinedTXT(
+  xmlFile1,
+  xmlFile2,
+  outputFilePath,
+  language1,
+  language2,
+  mode = "timeline",
+  options = {}
+) {
+  return combineTracks(
+    [
+      { file: xmlFile1, language: language1 },
+      { file: xmlFile2, language: language2 },
+    ],
+    outputFilePath,
+    "txt",
+    mode,
+    options
+  );
+}
 
-      srtContent += "\n";
-    }
+/**
+ * Create a combined VTT file from two subtitle files
+ * @param {string} xmlFile1 - Path to the first subtitle file
+ * @param {string} xmlFile2 - Path to the second subtitle file
+ * @param {string} outputFilePath - Path to the output VTT file
+ * @param {string} language1 - Language of the first subtitle file (e.g. 'ko' or 'zh-Hant'), detected when omitted
+ * @param {string} language2 - Language of the second subtitle file (e.g. 'ko' or 'zh-Hant'), detected when omitted
+ * @param {string} mode - The combination mode ('paired', 'timeline' or 'merged')
+ * @param {Object} [options] - Combine options, see combineTracks
+ */
+async function createCombinedVTT(
+  xmlFile1,
+  xmlFile2,
+  outputFilePath,
+  language1,
+  language2,
+  mode = "timeline",
+  options = {}
+) {
+  return combineTracks(
+    [
+      { file: xmlFile1, language: language1 },
+      { file: xmlFile2, language: language2 },
+    ],
+    outputFilePath,
+    "vtt",
+    mode,
+    options
+  );
+}
 
-    // Write to output file
-    await fs.writeFile(outputFilePath, srtContent);
-    console.log(
-      `Successfully created combined SRT file (paired mode): ${outputFilePath}`
-    );
-  } catch (error) {
-    console.error(`Error creating combined SRT file:`, error);
-    throw error;
-  }
+/**
+ * Create a combined ASS file from two subtitle files
+ * @param {string} xmlFile1 - Path to the first subtitle file
+ * @param {string} xmlFile2 - Path to the second subtitle file
+ * @param {string} outputFilePath - Path to the output ASS file
+ * @param {string} language1 - Language of the first subtitle file (e.g. 'ko' or 'zh-Hant'), detected when omitted
+ * @param {string} language2 - Language of the second subtitle file (e.g. 'ko' or 'zh-Hant'), detected when omitted
+ * @param {string} mode - The combination mode ('paired', 'timeline' or 'merged')
+ * @param {Object} [options] - Combine options, see combineTracks
+ */
+async function createCombinedASS(
+  xmlFile1,
+  xmlFile2,
+  outputFilePath,
+  language1,
+  language2,
+  mode = "timeline",
+  options = {}
+) {
+  return combineTracks(
+    [
+      { file: xmlFile1, language: language1 },
+      { file: xmlFile2, language: language2 },
+    ],
+    outputFilePath,
+    "ass",
+    mode,
+    options
+  );
 }
 
 /**
- * Create a combined TXT file from two XML files using the pairing method
- * @param {string} xmlFile1 - Path to the first XML file
- * @param {string} xmlFile2 - Path to the second XML file
- * @param {string} outputFilePath - Path to the output TXT file
- * @param {string} language1 - The language of the first XML file ('kr' or 'ch')
- * @param {string} language2 - The language of the second XML file ('kr' or 'ch')
+ * Create a bilingual HTML transcript from two subtitle files
+ * The languages are shown side by side, aligned as in paired mode unless the
+ * mode is 'merged'.
+ * @param {string} xmlFile1 - Path to the first subtitle file
+ * @param {string} xmlFile2 - Path to the second subtitle file
+ * @param {string} outputFilePath - Path to the output HTML file
+ * @param {string} language1 - Language of the first subtitle file (e.g. 'ko' or 'zh-Hant'), detected when omitted
+ * @param {string} language2 - Language of the second subtitle file (e.g. 'ko' or 'zh-Hant'), detected when omitted
+ * @param {string} mode - The combination mode ('paired', 'timeline' or 'merged')
+ * @param {Object} [options] - Combine options, see combineTracks
  */
-async function createCombinedTXTPaired(
+async function createCombinedHTML(
   xmlFile1,
   xmlFile2,
   outputFilePath,
   language1,
-  language2
+  language2,
+  mode = "paired",
+  options = {}
 ) {
-  try {
-    // Read both XML files
-    const xmlData1 = await fs.readFile(xmlFile1, "utf-8");
-    const xmlData2 = await fs.readFile(xmlFile2, "utf-8");
-
-    // Extract subtitles using regex
-    const subtitles1 = extractSubtitlesWithRegex(xmlData1, language1);
-    const subtitles2 = extractSubtitlesWithRegex(xmlData2, language2);
-
-    // Sort subtitles by begin time
-    subtitles1.sort(
-      (a, b) =>
-        parseInt(a.begin.replace("t", "")) - parseInt(b.begin.replace("t", ""))
-    );
-    subtitles2.sort(
-      (a, b) =>
-        parseInt(a.begin.replace("t", "")) - parseInt(b.begin.replace("t", ""))
-    );
+  return combineTracks(
+    [
+      { file: xmlFile1, language: language1 },
+      { file: xmlFile2, language: language2 },
+    ],
+    outputFilePath,
+    "html",
+    mode,
+    options
+  );
+}
 
-    // Generate combined TXT content
-    let txtContent = "";
+/**
+ * Create a combined TTML (IMSC 1.1) file from two subtitle files
+ * Each language gets its own region and keeps its own cue times; the styling
+ * and metadata of TTML inputs are carried over.
+ * @param {string} xmlFile1 - Path to the first subtitle file
+ * @param {string} xmlFile2 - Path to the second subtitle file
+ * @param {string} outputFilePath - Path to the output TTML file
+ * @param {string} language1 - Language of the first subtitle file (e.g. 'ko' or 'zh-Hant'), detected when omitted
+ * @param {string} language2 - Language of the second subtitle file (e.g. 'ko' or 'zh-Hant'), detected when omitted
+ * @param {Object} [options] - Combine options, see combineTracks; positions
+ *   places the regions (default: ["bottom", "top"])
+ */
+async function createCombinedTTML(
+  xmlFile1,
+  xmlFile2,
+  outputFilePath,
+  language1,
+  language2,
+  options = {}
+) {
+  return combineTracks(
+    [
+      { file: xmlFile1, language: language1 },
+      { file: xmlFile2, language: language2 },
+    ],
+    outputFilePath,
+    "ttml",
+    "timeline",
+    options
+  );
+}
 
-    // Use dynamic time warping approach to match subtitles
-    let j = 0; // Index for subtitles2
+/**
+ * Write a JSON diagnostics report of the paired-mode alignment of a
+ * two-track document and print its summary
+ * The tracks are aligned as paired mode aligns them, so the report describes
+ * the combined file written from the same document and options.
+ * @param {Object} document - A document with two tracks, read and corrected as for combining
+ * @param {string} reportFilePath - Path to the output JSON file
+ * @param {Object} [options] - Combine options, e.g. { reference }; the
+ *   reference track is the first file of the report (default: 0)
+ * @returns {Promise<Object>} - The report
+ */
+async function writeAlignmentReport(document, reportFilePath, options = {}) {
+  if (document.tracks.length !== 2) {
+    throw new Error("An alignment report needs exactly two tracks");
+  }
 
-    for (let i = 0; i < subtitles1.length; i++) {
-      const subtitle1 = subtitles1[i];
-      const startTime1 = parseInt(subtitle1.begin.replace("t", ""));
+  const { reference = 0 } = options;
+  const track1 = document.tracks[reference];
+  const track2 = document.tracks[1 - reference];
+  if (!track1) {
+    throw new Error(`Invalid reference track ${reference + 1}`);
+  }
 
-      // Find the best matching subtitle in the second language
-      let bestMatch = null;
-      let bestMatchIndex = -1;
-      let minTimeDiff = Number.MAX_SAFE_INTEGER;
+  const report = buildAlignmentReport(
+    alignSubtitles(
+      [...track1.subtitles].sort((x, y) => x.start - y.start),
+      track2.subtitles,
+      options
+    ),
+    {
+      file1: track1.source,
+      file2: track2.source,
+      language1: track1.language,
+      language2: track2.language,
+    }
+  );
 
-      // Look ahead in a window of 10 subtitles to find the best match
-      const searchWindow = 10;
-      const startJ = Math.max(0, j - 2); // Allow for some backtracking
-      const endJ = Math.min(subtitles2.length, startJ + searchWindow);
+  await fs.writeFile(reportFilePath, `${JSON.stringify(report, null, 2)}\n`);
+  console.log(formatReportSummary(report));
+  console.log(`Alignment report written to ${reportFilePath}`);
+  return report;
+}
 
-      for (let k = startJ; k < endJ; k++) {
-        const subtitle2 = subtitles2[k];
-        const startTime2 = parseInt(subtitle2.begin.replace("t", ""));
-        const timeDiff = Math.abs(startTime1 - startTime2);
+/**
+ * Write a JSON diagnostics report of the paired-mode alignment of two files
+ * and print its summary
+ * @param {string} xmlFile1 - Path to the first subtitle file
+ * @param {string} xmlFile2 - Path to the second subtitle file
+ * @param {string} reportFilePath - Path to the output JSON file
+ * @param {string} language1 - Language of the first file (e.g., "ko")
+ * @param {string} language2 - Language of the second file (e.g., "zh-Hant")
+ * @param {Object} [options] - Combine options, e.g. { reference, normalize, retime, autosync }
+ * @returns {Promise<Object>} - The report
+ */
+async function createAlignmentReport(
+  xmlFile1,
+  xmlFile2,
+  reportFilePath,
+  language1,
+  language2,
+  options = {}
+) {
+  try {
+    const document = await readTracks(
+      [
+        { file: xmlFile1, language: language1 },
+        { file: xmlFile2, language: language2 },
+      ],
+      options
+    );
+    return await writeAlignmentReport(document, reportFilePath, options);
+  } catch (error) {
+    console.error(`Error creating alignment report:`, error);
+    throw error;
+  }
+}
 
-        if (timeDiff < minTimeDiff) {
-          minTimeDiff = timeDiff;
-          bestMatch = subtitle2;
-          bestMatchIndex = k;
-        }
-      }
+/**
+ * Put the document whose language matches the primary language first
+ * @param {Array} documents - Two single-track documents, first track first
+ * @param {string} [primary] - Language range to show first, e.g. "ko" or "zh"
+ * @returns {Array} - The documents, swapped when only the second matches
+ */
+function orderByLanguage(documents, primary) {
+  const [language1, language2] = documents.map(
+    (document) => document.tracks[0].language
+  );
 
-      txtContent += `${subtitle1.text}\n`;
+  return !matchesLanguage(language1, primary) &&
+    matchesLanguage(language2, primary)
+    ? [documents[1], documents[0]]
+    : documents;
+}
 
-      if (bestMatch && minTimeDiff < 10000000) {
-        // 1 second threshold
-        txtContent += `${bestMatch.text}\n`;
-        // Update j to the position after the best match to maintain sequence
-        j = bestMatchIndex + 1;
-      }
+/**
+ * Read the source and translation files of an episode into one document
+ * @param {Array} files - The source and translation files of the episode
+ * @param {Object} [options] - Read options
+ * @param {string} [options.primary] - Language of the source; the files are
+ *   swapped when only the second one matches
+ * @param {Object} [options.normalize] - Text normalisation of both files (see normalizeSubtitles)
+ * @returns {Promise<Object>} - A document with the source and translation tracks
+ */
+async function readEpisodePair(files, options = {}) {
+  const documents = await Promise.all(
+    files.map((file) => readDocument(file, { normalize: options.normalize }))
+  );
+  return combineDocuments(orderByLanguage(documents, options.primary));
+}
 
-      txtContent += "\n";
+/**
+ * Export the paired lines of episodes as a CSV or TSV table for study, e.g. in Anki
+ * Each episode is aligned as in paired mode; every pair becomes a row.
+ * @param {Array} episodes - Array of { episode, files } objects, where files
+ *   are the source and translation files of the episode
+ * @param {string} outputFilePath - Path to the output file
+ * @param {Object} [options] - Export options
+ * @param {string} [options.primary] - Language of the source column; the files
+ *   of an episode are swapped when only the second one matches
+ * @param {Object} [options.normalize] - Text normalisation of every file (see normalizeSubtitles)
+ * @param {boolean} [options.dedupe] - Keep only the first row of each repeated source line
+ * @param {number} [options.minLength] - Leave out rows whose source has fewer letters or digits
+ * @param {string} [options.format] - "csv" or "tsv" (default: "tsv")
+ * @param {boolean} [options.header] - Start with a row of column names (default: true)
+ * @param {boolean} [options.anki] - Start with Anki import headers instead
+ * @returns {Promise<Array>} - The exported rows
+ */
+async function exportStudy(episodes, outputFilePath, options = {}) {
+  try {
+    const rows = [];
+    for (const { episode, files } of episodes) {
+      rows.push(
+        ...buildStudyRows(await readEpisodePair(files, options), episode)
+      );
     }
 
-    // Write to output file
-    await fs.writeFile(outputFilePath, txtContent);
+    const exported = filterStudyRows(rows, options);
+    await fs.writeFile(outputFilePath, formatStudyTable(exported, options));
     console.log(
-      `Successfully created combined TXT file (paired mode): ${outputFilePath}`
+      `Successfully exported ${exported.length} of ${rows.length} pairs from ${
+        episodes.length
+      } ${episodes.length === 1 ? "episode" : "episodes"} to ${outputFilePath}`
     );
+
+    return exported;
   } catch (error) {
-    console.error(`Error creating combined TXT file:`, error);
+    console.error("Error exporting study table:", error);
     throw error;
   }
 }
 
 /**
- * Create a combined SRT file from two XML files using the timeline method
- * @param {string} xmlFile1 - Path to the first XML file
- * @param {string} xmlFile2 - Path to the second XML file
- * @param {string} outputFilePath - Path to the output SRT file
- * @param {string} language1 - The language of the first XML file ('kr' or 'ch')
- * @param {string} language2 - The language of the second XML file ('kr' or 'ch')
+ * Export the paired lines of episodes as one translation memory, in TMX 1.4 or aligned JSON
+ * Each episode is aligned as in paired mode; every pair becomes a translation
+ * unit with the language of each file, the episode and the timing.
+ * @param {Array} episodes - Array of { episode, files } objects, where files
+ *   are the source and translation files of the episode
+ * @param {string} outputFilePath - Path to the output file
+ * @param {Object} [options] - Export options
+ * @param {string} [options.primary] - Source language of the memory; the files
+ *   of an episode are swapped when only the second one matches
+ * @param {Object} [options.normalize] - Text normalisation of every file (see normalizeSubtitles)
+ * @param {string} [options.format] - "tmx" or "json" (default: "tmx")
+ * @returns {Promise<Array>} - The exported translation units
  */
-async function createCombinedSRTTimeline(
-  xmlFile1,
-  xmlFile2,
-  outputFilePath,
-  language1,
-  language2
-) {
+async function exportMemory(episodes, outputFilePath, options = {}) {
   try {
-    // Read both XML files
-    const xmlData1 = await fs.readFile(xmlFile1, "utf-8");
-    const xmlData2 = await fs.readFile(xmlFile2, "utf-8");
-
-    // Extract the tick rates
-    const tickRateMatch1 = xmlData1.match(/ttp:tickRate="(\d+)"/);
-    const tickRateMatch2 = xmlData2.match(/ttp:tickRate="(\d+)"/);
-    const tickRate1 = tickRateMatch1 ? parseInt(tickRateMatch1[1]) : 10000000;
-    const tickRate2 = tickRateMatch2 ? parseInt(tickRateMatch2[1]) : 10000000;
-
-    // Extract subtitles using regex
-    const subtitles1 = extractSubtitlesWithRegex(xmlData1, language1);
-    const subtitles2 = extractSubtitlesWithRegex(xmlData2, language2);
-
-    // Create a merged array of all subtitles with language indicator
-    const mergedSubtitles = [
-      ...subtitles1.map((sub) => ({
-        ...sub,
-        language: language1,
-        tickRate: tickRate1,
-        startTime: parseInt(sub.begin.replace("t", "")),
-      })),
-      ...subtitles2.map((sub) => ({
-        ...sub,
-        language: language2,
-        tickRate: tickRate2,
-        startTime: parseInt(sub.begin.replace("t", "")),
-      })),
-    ];
-
-    // Sort all subtitles by start time
-    mergedSubtitles.sort((a, b) => a.startTime - b.startTime);
-
-    // Generate combined SRT content
-    let srtContent = "";
-    let index = 1;
-
-    for (let i = 0; i < mergedSubtitles.length; i++) {
-      const subtitle = mergedSubtitles[i];
-
-      // Format SRT entry
-      srtContent += `${index++}\n`;
-      srtContent += `${convertTimeToSRT(
-        subtitle.begin,
-        subtitle.tickRate
-      )} --> ${convertTimeToSRT(subtitle.end, subtitle.tickRate)}\n`;
-
-      // Add language indicator if needed (optional)
-      // srtContent += `[${subtitle.language === "kr" ? "한국어" : "中文"}] `;
-
-      srtContent += `${subtitle.text}\n\n`;
+    const units = [];
+    for (const { episode, files } of episodes) {
+      units.push(
+        ...buildMemoryUnits(await readEpisodePair(files, options), episode)
+      );
     }
 
-    // Write to output file
-    await fs.writeFile(outputFilePath, srtContent);
+    await fs.writeFile(outputFilePath, formatMemory(units, options.format));
     console.log(
-      `Successfully created combined SRT file (timeline mode): ${outputFilePath}`
+      `Successfully exported ${units.length} translation units from ${
+        episodes.length
+      } ${episodes.length === 1 ? "episode" : "episodes"} to ${outputFilePath}`
     );
+
+    return units;
   } catch (error) {
-    console.error(`Error creating combined SRT file:`, error);
+    console.error("Error exporting translation memory:", error);
     throw error;
   }
 }
 
 /**
- * Create a combined TXT file from two XML files using the timeline method
- * @param {string} xmlFile1 - Path to the first XML file
- * @param {string} xmlFile2 - Path to the second XML file
- * @param {string} outputFilePath - Path to the output TXT file
- * @param {string} language1 - The language of the first XML file ('kr' or 'ch')
- * @param {string} language2 - The language of the second XML file ('kr' or 'ch')
+ * Read a search index, or start an empty one
+ * An index of another version or filename pattern is started again, as is
+ * one that cannot be read: it only saves reading the subtitle files.
+ * @param {string} indexFilePath - Path to the index file
+ * @param {string} pattern - Filename pattern the search pairs files with
+ * @returns {Promise<Object>} - { version, pattern, files }, where files maps the
+ *   path of a file, relative to the index file, to its { stamps, language, cues }
  */
-async function createCombinedTXTTimeline(
-  xmlFile1,
-  xmlFile2,
-  outputFilePath,
-  language1,
-  language2
-) {
+async function readSearchIndex(indexFilePath, pattern) {
+  const empty = { version: SEARCH_INDEX_VERSION, pattern, files: {} };
   try {
-    // Read both XML files
-    const xmlData1 = await fs.readFile(xmlFile1, "utf-8");
-    const xmlData2 = await fs.readFile(xmlFile2, "utf-8");
-
-    // Extract subtitles using regex
-    const subtitles1 = extractSubtitlesWithRegex(xmlData1, language1);
-    const subtitles2 = extractSubtitlesWithRegex(xmlData2, language2);
-
-    // Create a merged array of all subtitles with language indicator
-    const mergedSubtitles = [
-      ...subtitles1.map((sub) => ({
-        ...sub,
-        language: language1,
-        startTime: parseInt(sub.begin.replace("t", "")),
-      })),
-      ...subtitles2.map((sub) => ({
-        ...sub,
-        language: language2,
-        startTime: parseInt(sub.begin.replace("t", "")),
-      })),
-    ];
-
-    // Sort all subtitles by start time
-    mergedSubtitles.sort((a, b) => a.startTime - b.startTime);
-
-    // Generate combined TXT content
-    let txtContent = "";
-
-    for (let i = 0; i < mergedSubtitles.length; i++) {
-      const subtitle = mergedSubtitles[i];
-
-      // Add language indicator if needed (optional)
-      // txtContent += `[${subtitle.language === "kr" ? "한국어" : "中文"}] `;
-
-      txtContent += `${subtitle.text}\n\n`;
-    }
-
-    // Write to output file
-    await fs.writeFile(outputFilePath, txtContent);
-    console.log(
-      `Successfully created combined TXT file (timeline mode): ${outputFilePath}`
-    );
+    const index = await fs.readJson(indexFilePath);
+    return index.version === SEARCH_INDEX_VERSION && index.pattern === pattern
+      ? index
+      : empty;
   } catch (error) {
-    console.error(`Error creating combined TXT file:`, error);
-    throw error;
+    return empty;
   }
 }
 
 /**
- * Create a combined SRT file from two XML files
- * @param {string} xmlFile1 - Path to the first XML file
- * @param {string} xmlFile2 - Path to the second XML file
- * @param {string} outputFilePath - Path to the output SRT file
- * @param {string} language1 - The language of the first XML file ('kr' or 'ch')
- * @param {string} language2 - The language of the second XML file ('kr' or 'ch')
- * @param {string} mode - The combination mode ('paired' or 'timeline')
+ * Search the subtitle files of a directory or glob
+ * Files are paired into episodes by the filename pattern, so every match
+ * also has the aligned lines of the other languages of its episode. With an
+ * index file, only episodes with a file changed since the index was written
+ * are read again, and the index is updated.
+ * @param {string} input - A directory or a glob such as "season1/*.xml"
+ * @param {string} query - Plain text, or a regular expression when options.regex is set
+ * @param {Object} [options] - Search options
+ * @param {boolean} [options.regex] - Treat the query as a regular expression
+ * @param {boolean} [options.ignoreCase] - Ignore case
+ * @param {string} [options.language] - Only search files in this language range, e.g. "ko"
+ * @param {string} [options.pattern] - Filename pattern, e.g. "{episode}-{lang}.xml"
+ * @param {string|boolean} [options.index] - Path to the index file, or true for
+ *   the default one in the searched directory
+ * @returns {Promise<Object>} - { matches, searched, indexed, skipped }: the
+ *   matches (see searchEntries), the number of files searched, the number of
+ *   files read into the index, and { file, error } for unreadable files
  */
-async function createCombinedSRT(
-  xmlFile1,
-  xmlFile2,
-  outputFilePath,
-  language1,
-  language2,
-  mode = "timeline"
-) {
-  if (mode === "paired") {
-    return createCombinedSRTPaired(
-      xmlFile1,
-      xmlFile2,
-      outputFilePath,
-      language1,
-      language2
-    );
-  } else {
-    return createCombinedSRTTimeline(
-      xmlFile1,
-      xmlFile2,
-      outputFilePath,
-      language1,
-      language2
-    );
+async function searchSubtitles(input, query, options = {}) {
+  const { pattern = DEFAULT_PATTERN } = options;
+  const expression = createSearchExpression(query, options);
+  const files = (await listInputFiles(input)).filter(isSubtitleFile);
+
+  // The files of an episode are aligned with each other; other files stand alone
+  const groups = [...groupEpisodes(files, pattern).values()].map((episode) =>
+    Object.values(episode)
+  );
+  const grouped = new Set(groups.flat());
+  files
+    .filter((file) => !grouped.has(file))
+    .forEach((file) => groups.push([file]));
+
+  const indexFilePath =
+    options.index === true
+      ? path.join(
+          /[*?]/.test(input) ? path.dirname(input) : input,
+          SEARCH_INDEX_FILE
+        )
+      : options.index;
+  const index = indexFilePath
+    ? await readSearchIndex(indexFilePath, pattern)
+    : { files: {} };
+  // Files are known by their path from the index, so files of the same name
+  // in different directories are kept apart
+  const indexKey = (file) =>
+    path.relative(indexFilePath ? path.dirname(indexFilePath) : ".", file);
+  const indexFiles = {};
+  const entries = [];
+  const skipped = [];
+  let indexed = 0;
+
+  for (const group of groups) {
+    // A file is known by its size and modification time
+    const stamps = {};
+    for (const file of group) {
+      const stat = await fs.stat(file);
+      stamps[indexKey(file)] = `${stat.size}:${stat.mtimeMs}`;
+    }
+
+    const fresh = group.every((file) => {
+      const known = index.files[indexKey(file)];
+      return known && JSON.stringify(known.stamps) === JSON.stringify(stamps);
+    });
+    if (fresh) {
+      group.forEach((file) => {
+        const known = index.files[indexKey(file)];
+        indexFiles[indexKey(file)] = known;
+        entries.push({ file, language: known.language, cues: known.cues });
+      });
+      continue;
+    }
+
+    const readable = [];
+    for (const file of group) {
+      try {
+        readable.push({ file, track: (await readDocument(file)).tracks[0] });
+      } catch (error) {
+        skipped.push({ file, error: error.message });
+      }
+    }
+
+    buildSearchEntries(readable).forEach((entry) => {
+      indexFiles[indexKey(entry.file)] = {
+        stamps,
+        language: entry.language,
+        cues: entry.cues,
+      };
+      entries.push(entry);
+      indexed++;
+    });
+  }
+
+  if (indexFilePath) {
+    const unchanged =
+      !indexed &&
+      Object.keys(indexFiles).length === Object.keys(index.files).length;
+    if (!unchanged) {
+      await fs.ensureDir(path.dirname(indexFilePath));
+      await fs.writeJson(indexFilePath, {
+        version: SEARCH_INDEX_VERSION,
+        pattern,
+        files: indexFiles,
+      });
+    }
   }
+
+  return {
+    matches: searchEntries(entries, expression, options),
+    searched: entries.length,
+    indexed,
+    skipped,
+  };
 }
 
 /**
- * Create a combined TXT file from two XML files
- * @param {string} xmlFile1 - Path to the first XML file
- * @param {string} xmlFile2 - Path to the second XML file
- * @param {string} outputFilePath - Path to the output TXT file
- * @param {string} language1 - The language of the first XML file ('kr' or 'ch')
- * @param {string} language2 - The language of the second XML file ('kr' or 'ch')
- * @param {string} mode - The combination mode ('paired' or 'timeline')
+ * Convert and combine every episode found in a directory or glob
+ * Each episode needs one file per language, named by the pattern; episodes
+ * run concurrently and a failing episode does not stop the others. The
+ * {lang} part of the file names only pairs the files: subtitles get the
+ * language the files declare, or one detected from their text.
+ * @param {string} input - A directory or a glob such as "season1/*.xml"
+ * @param {string} outputDir - Directory for the per-episode output files
+ * @param {Object} [options] - Batch options
+ * @param {string} [options.pattern] - Filename pattern, e.g. "{episode}-{lang}.xml"
+ * @param {Array} [options.languages] - The two {lang} codes to combine, first track first.
+ *   By default the codes found in the file names, when there are exactly two.
+ * @param {string} [options.primary] - Language shown first in combined output, e.g. "ko"
+ * @param {Array} [options.formats] - Output formats (default: ["srt", "txt"])
+ * @param {string} [options.mode] - Combination mode (default: "timeline")
+ * @param {number} [options.jobs] - Episodes processed at once (default: 4)
+ * @param {Object} [options.normalize] - Text normalisation of every file (see normalizeSubtitles)
+ * @param {Object} [options.combine] - Combine options, e.g. { retime, autosync } (see combineTracks)
+ * @returns {Promise<Array>} - One { episode, status, missing, error } per episode
  */
-async function createCombinedTXT(
-  xmlFile1,
-  xmlFile2,
-  outputFilePath,
-  language1,
-  language2,
-  mode = "timeline"
-) {
-  if (mode === "paired") {
-    return createCombinedTXTPaired(
-      xmlFile1,
-      xmlFile2,
-      outputFilePath,
-      language1,
-      language2
-    );
-  } else {
-    return createCombinedTXTTimeline(
-      xmlFile1,
-      xmlFile2,
-      outputFilePath,
-      language1,
-      language2
-    );
+async function processBatch(input, outputDir, options = {}) {
+  const {
+    pattern = DEFAULT_PATTERN,
+    formats = ["srt", "txt"],
+    mode = "timeline",
+    jobs = 4,
+  } = options;
+
+  const episodes = groupEpisodes(await listInputFiles(input), pattern);
+  if (!episodes.size) {
+    throw new Error(`No files matching "${pattern}" found in ${input}`);
   }
+
+  const codes = episodeCodes(episodes, options.languages, input);
+
+  await fs.ensureDir(outputDir);
+
+  return runConcurrently(
+    [...episodes.entries()],
+    jobs,
+    async ([episode, files]) => {
+      const missing = codes.filter((code) => !files[code]);
+      if (missing.length) {
+        return { episode, status: "missing", missing };
+      }
+
+      try {
+        // Read every file once, then write each format from memory
+        const documents = await Promise.all(
+          codes.map((code) =>
+            readDocument(files[code], { normalize: options.normalize })
+          )
+        );
+        for (const [i, code] of codes.entries()) {
+          for (const format of formats) {
+            const outputPath = path.join(
+              outputDir,
+              `${episode}-${code}.${format}`
+            );
+            await writeDocument(documents[i], outputPath, format);
+            console.log(
+              `Successfully converted ${files[code]} to ${outputPath}`
+            );
+          }
+        }
+
+        const combined = correctTiming(
+          combineDocuments(orderByLanguage(documents, options.primary)),
+          options.combine
+        );
+        for (const format of formats) {
+          const outputPath = path.join(
+            outputDir,
+            `${episode}-combined.${format}`
+          );
+          await writeDocument(combined, outputPath, format, {
+            ...options.combine,
+            mode,
+          });
+          console.log(
+            `Successfully created combined ${format.toUpperCase()} file (${mode} mode): ${outputPath}`
+          );
+        }
+        return { episode, status: "succeeded", missing: [] };
+      } catch (error) {
+        return { episode, status: "failed", missing: [], error: error.message };
+      }
+    }
+  );
 }
 
 // Main function to process the files
 async function main() {
   try {
-    const krXmlPath = path.join(__dirname, "..", "ep1-kr.xml");
-    const chXmlPath = path.join(__dirname, "..", "ep1-ch.xml");
-
-    // Output file paths
-    const krSrtPath = path.join(outputDir, "ep1-kr.srt");
-    const krTxtPath = path.join(outputDir, "ep1-kr.txt");
-    const chSrtPath = path.join(outputDir, "ep1-ch.srt");
-    const chTxtPath = path.join(outputDir, "ep1-ch.txt");
-    const combinedSrtPath = path.join(outputDir, "ep1-combined.srt");
-    const combinedTxtPath = path.join(outputDir, "ep1-combined.txt");
-
-    // Convert Korean XML to SRT and TXT
-    await convertToSRT(krXmlPath, krSrtPath, "kr");
-    await convertToTXT(krXmlPath, krTxtPath, "kr");
-
-    // Convert Chinese XML to SRT and TXT
-    await convertToSRT(chXmlPath, chSrtPath, "ch");
-    await convertToTXT(chXmlPath, chTxtPath, "ch");
-
-    // Create combined files (using timeline mode by default)
-    await createCombinedSRT(
-      krXmlPath,
-      chXmlPath,
-      combinedSrtPath,
-      "kr",
-      "ch",
-      "timeline"
-    );
-    await createCombinedTXT(
-      krXmlPath,
-      chXmlPath,
-      combinedTxtPath,
-      "kr",
-      "ch",
-      "timeline"
-    );
+    // Convert and combine every episode next to the project (e.g. ep1-kr.xml
+    // and ep1-ch.xml). The sample show is Korean, so Korean comes first.
+    const outputDir = path.join(__dirname, "..", "output");
+    const results = await processBatch(path.join(__dirname, ".."), outputDir, {
+      primary: "ko",
+    });
 
-    console.log("All conversions completed successfully!");
+    console.log(formatBatchSummary(results));
   } catch (error) {
     console.error("Error in main process:", error);
   }
 }
 
-// Export functions for CLI
+// Export the in-memory API and the file functions for the CLI
 module.exports = {
+  parse,
+  serialize,
+  createDocument,
+  combineDocuments,
+  retimeDocument,
+  normalizeDocument,
+  syncDocument,
+  trackLanguage,
+  registerFormat,
+  getFormat,
+  formatNames,
+  loadFormatModules,
+  textCues,
+  readDocument,
+  readTracks,
+  correctTiming,
+  writeDocument,
+  readSubtitles,
+  detectFileLanguage,
   convertToSRT,
   convertToTXT,
+  convertToVTT,
+  convertToASS,
+  convertToHTML,
+  convertToTTML,
   createCombinedSRT,
   createCombinedTXT,
+  createCombinedVTT,
+  createCombinedASS,
+  createCombinedHTML,
+  createCombinedTTML,
+  combineTracks,
+  shiftSubtitles,
+  stretchSubtitles,
+  convertFramerate,
+  retimeSubtitles,
+  estimateSync,
+  applySync,
+  writeAlignmentReport,
+  createAlignmentReport,
+  exportStudy,
+  exportMemory,
+  searchSubtitles,
+  LINT_PRESETS,
+  resolveLintRules,
+  lintSubtitles,
+  fixSubtitles,
+  diffSubtitles,
+  normalizeSubtitles,
+  processBatch,
 };
 
 // Run the main function if this file is executed directly
@@ -0,0 +1,141 @@
+/**
+ * Subtitle track languages.
+ *
+ * Languages are BCP-47 tags such as "ko", "zh-Hant" or "en-US". A track's
+ * language comes from the user, from the file itself (xml:lang in TTML, the
+ * Language header in WebVTT) or, failing that, from the script of its text.
+ */
+
+// Characters that only appear in one of the two Chinese scripts, used to tell
+// zh-Hant from zh-Hans
+const TRADITIONAL =
+  "們這個來說時國會學對還麼為與見樣點開關問題發現實長讓經過從東車電話聽覺愛處麗戲劇歡樂";
+const SIMPLIFIED =
+  "们这个来说时国会学对还么为与见样点开关问题发现实长让经过从东车电话听觉爱处丽戏剧欢乐";
+
+// Scripts that (nearly) identify a language on their own
+const SCRIPT_LANGUAGES = [
+  ["Hangul", "ko"],
+  ["Thai", "th"],
+  ["Greek", "el"],
+  ["Hebrew", "he"],
+  ["Arabic", "ar"],
+  ["Devanagari", "hi"],
+  ["Cyrillic", "ru"],
+];
+
+// Cues sampled for script detection
+const SAMPLE_SIZE = 300;
+
+/**
+ * Validate a BCP-47 language tag and bring it into canonical form
+ * For example "zh-hant" becomes "zh-Hant" and "en-us" becomes "en-US".
+ * @param {string} tag - The language tag
+ * @returns {string} - The canonical tag
+ */
+function normalizeLanguage(tag) {
+  try {
+    return Intl.getCanonicalLocales(String(tag).trim())[0];
+  } catch (error) {
+    throw new Error(
+      `Invalid language "${tag}". Use a BCP-47 tag such as ko, zh-Hant or en-US.`
+    );
+  }
+}
+
+/**
+ * Count the letters of each script in a text
+ * @param {string} text - The text
+ * @returns {Object} - Map of script name to count
+ */
+function countScripts(text) {
+  const counts = {};
+  const scripts = [
+    ...SCRIPT_LANGUAGES.map(([script]) => script),
+    "Han",
+    "Hiragana",
+    "Katakana",
+    "Latin",
+  ];
+
+  scripts.forEach((script) => {
+    const matches = text.match(new RegExp(`\\p{Script=${script}}`, "gu"));
+    counts[script] = matches ? matches.length : 0;
+  });
+
+  return counts;
+}
+
+/**
+ * Guess the language of subtitles from the script of their text
+ * Latin-script text is not guessed, since the script alone cannot tell
+ * English from French or Indonesian.
+ * @param {Array} subtitles - Array of subtitle objects
+ * @returns {string|undefined} - A language tag, or undefined when unsure
+ */
+function detectLanguage(subtitles) {
+  const text = subtitles
+    .slice(0, SAMPLE_SIZE)
+    .map((subtitle) => subtitle.text)
+    .join("\n");
+  const counts = countScripts(text);
+  const kana = counts.Hiragana + counts.Katakana;
+
+  const [dominant, count] = Object.entries(counts).reduce((best, entry) =>
+    entry[1] > best[1] ? entry : best
+  );
+  if (count === 0 || dominant === "Latin") return undefined;
+
+  // Japanese mixes kana with kanji, so a moderate share of kana is enough
+  if (kana > 0.1 * (kana + counts.Han) && kana + counts.Han >= count) {
+    return "ja";
+  }
+  if (dominant === "Han") {
+    const traditional = [...text].filter((c) => TRADITIONAL.includes(c));
+    const simplified = [...text].filter((c) => SIMPLIFIED.includes(c));
+    if (traditional.length > simplified.length) return "zh-Hant";
+    if (simplified.length > traditional.length) return "zh-Hans";
+    return "zh";
+  }
+
+  const match = SCRIPT_LANGUAGES.find(([script]) => script === dominant);
+  return match ? match[1] : undefined;
+}
+
+/**
+ * Get the name of a language in that language, for labels
+ * For example "ko" gives "한국어" and "zh-Hant" gives "繁體中文".
+ * @param {string} [tag] - The language tag
+ * @returns {string} - The name, or the tag itself when it has none
+ */
+function languageName(tag) {
+  if (!tag || tag === "und") return tag || "";
+
+  try {
+    return new Intl.DisplayNames([tag], { type: "language" }).of(tag) || tag;
+  } catch (error) {
+    return tag;
+  }
+}
+
+/**
+ * Check whether a language tag falls under a language range
+ * "zh" matches "zh" and "zh-Hant", but not "zu".
+ * @param {string} tag - The language tag
+ * @param {string} range - The language range
+ * @returns {boolean} - Whether the tag matches
+ */
+function matchesLanguage(tag, range) {
+  if (!tag || !range) return false;
+
+  const a = tag.toLowerCase();
+  const b = range.toLowerCase();
+  return a === b || a.startsWith(`${b}-`);
+}
+
+module.exports = {
+  normalizeLanguage,
+  detectLanguage,
+  languageName,
+  matchesLanguage,
+};
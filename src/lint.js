@@ -0,0 +1,332 @@
+/**
+ * Subtitle quality checks based on timed-text style rules.
+ *
+ * Rules are settings such as { maxLines: 2, minGap: 83 }. A rule is a limit
+ * (or true for the yes/no checks), false to turn it off, or an object
+ * { value, severity } to change how serious a violation is. Presets bundle a
+ * rule set; per-language overrides adjust it for scripts that read at a
+ * different speed:
+ *
+ *   { preset: "netflix", rules: { maxCPS: 17 }, languages: { ko: { maxCPS: 12 } } }
+ */
+
+const { formatSRTTime } = require("./time");
+const { matchesLanguage } = require("./language");
+
+// Severity of each rule unless the settings say otherwise
+const DEFAULT_SEVERITIES = {
+  maxLineLength: "error",
+  maxLineLengthCJK: "error",
+  maxLines: "error",
+  maxCPS: "warning",
+  minDuration: "warning",
+  maxDuration: "warning",
+  minGap: "warning",
+  overlap: "error",
+  empty: "error",
+};
+
+// Rule sets. The Netflix preset follows the Netflix Timed Text Style Guide:
+// 42 characters per line (16 for Chinese, Japanese and Korean), two lines,
+// 5/6 s to 7 s on screen and two frames (at 24 fps) between cues.
+const LINT_PRESETS = {
+  netflix: {
+    rules: {
+      maxLineLength: 42,
+      maxLineLengthCJK: 16,
+      maxLines: 2,
+      maxCPS: 20,
+      minDuration: 833,
+      maxDuration: 7000,
+      minGap: 83,
+      overlap: true,
+      empty: true,
+    },
+    languages: {
+      ko: { maxCPS: 12 },
+      zh: { maxCPS: 9 },
+      ja: { maxLineLengthCJK: 13, maxCPS: 4 },
+    },
+  },
+  basic: {
+    rules: {
+      maxLines: 2,
+      overlap: true,
+      empty: true,
+    },
+  },
+};
+
+// Han, kana and Hangul count towards the CJK line limit
+const CJK =
+  /[\p{Script=Han}\p{Script=Hiragana}\p{Script=Katakana}\p{Script=Hangul}]/u;
+
+/**
+ * Bring a rule setting into the form { value, severity }
+ * @param {string} name - The rule name
+ * @param {*} setting - A limit, true, false, or { value, severity }
+ * @returns {Object|null} - The rule, or null when it is turned off
+ */
+function normalizeRule(name, setting) {
+  if (!(name in DEFAULT_SEVERITIES)) {
+    throw new Error(
+      `Unknown lint rule "${name}". Use ${Object.keys(DEFAULT_SEVERITIES).join(
+        ", "
+      )}.`
+    );
+  }
+  if (setting === false || setting === null || setting === undefined) {
+    return null;
+  }
+
+  const rule =
+    typeof setting === "object"
+      ? { severity: DEFAULT_SEVERITIES[name], ...setting }
+      : { value: setting, severity: DEFAULT_SEVERITIES[name] };
+
+  if (rule.severity !== "error" && rule.severity !== "warning") {
+    throw new Error(
+      `Invalid severity "${rule.severity}" for lint rule "${name}". Use error or warning.`
+    );
+  }
+  if (rule.value !== true && !(Number(rule.value) >= 0)) {
+    throw new Error(`Invalid value "${rule.value}" for lint rule "${name}".`);
+  }
+
+  return rule;
+}
+
+/**
+ * Pick the overrides of every language range that matches, least specific first
+ * @param {Object} [languages] - Map of language range to rule settings
+ * @param {string} [language] - Language of the subtitles being checked
+ * @returns {Array} - Rule settings to apply in order
+ */
+function languageOverrides(languages = {}, language) {
+  return Object.keys(languages)
+    .filter((range) => matchesLanguage(language, range))
+    .sort((a, b) => a.length - b.length)
+    .map((range) => languages[range]);
+}
+
+/**
+ * Resolve lint settings into the rules for one language
+ * Later layers win: the preset's rules, the preset's language overrides, the
+ * settings' own rules, then the settings' language overrides.
+ * @param {Object} [settings] - { preset, rules, languages }
+ * @param {string} [language] - Language of the subtitles being checked
+ * @returns {Object} - Map of rule name to { value, severity }, without disabled rules
+ */
+function resolveLintRules(settings = {}, language) {
+  const presetName = settings.preset || "netflix";
+  const preset = LINT_PRESETS[presetName];
+  if (!preset) {
+    throw new Error(
+      `Unknown lint preset "${presetName}". Use ${Object.keys(
+        LINT_PRESETS
+      ).join(", ")}.`
+    );
+  }
+
+  const merged = Object.assign(
+    {},
+    preset.rules,
+    ...languageOverrides(preset.languages, language),
+    settings.rules,
+    ...languageOverrides(settings.languages, language)
+  );
+
+  const rules = {};
+  Object.entries(merged).forEach(([name, setting]) => {
+    const rule = normalizeRule(name, setting);
+    if (rule) rules[name] = rule;
+  });
+  return rules;
+}
+
+/**
+ * Count the characters of a text as a reader sees them
+ * @param {string} text - The text, without line breaks
+ * @returns {number} - Number of characters
+ */
+function countCharacters(text) {
+  return [...text].length;
+}
+
+/**
+ * Check whether a line is mostly CJK characters
+ * @param {string} line - The line
+ * @returns {boolean} - Whether the CJK line limit applies
+ */
+function isCJKLine(line) {
+  const letters = [...line].filter((c) => /[\p{L}\p{N}]/u.test(c));
+  const cjk = letters.filter((c) => CJK.test(c));
+  return cjk.length > 0 && cjk.length >= letters.length / 2;
+}
+
+/**
+ * Check subtitles against lint rules
+ * @param {Array} subtitles - Array of subtitle objects, in file order
+ * @param {Object} [settings] - Lint settings { preset, rules, languages }
+ * @param {string} [language] - Language of the track (default: the subtitles' own)
+ * @returns {Array} - Violations { rule, severity, index, id, start, end, message }, by cue
+ */
+function lintSubtitles(subtitles, settings = {}, language) {
+  const trackLanguage =
+    language ||
+    (subtitles.find((subtitle) => subtitle.language) || {}).language;
+  const rules = resolveLintRules(settings, trackLanguage);
+  const violations = [];
+
+  const report = (name, subtitle, index, message) => {
+    violations.push({
+      rule: name,
+      severity: rules[name].severity,
+      index: index + 1,
+      id: subtitle.id,
+      start: subtitle.start,
+      end: subtitle.end,
+      message,
+    });
+  };
+
+  subtitles.forEach((subtitle, index) => {
+    const text = subtitle.text || "";
+    const lines = text.split("\n");
+    const duration = subtitle.end - subtitle.start;
+
+    if (rules.empty && !text.trim()) {
+      report("empty", subtitle, index, "Cue has no text");
+      return;
+    }
+
+    lines.forEach((line, i) => {
+      const cjk = isCJKLine(line);
+      const name = cjk ? "maxLineLengthCJK" : "maxLineLength";
+      const length = countCharacters(line);
+      if (rules[name] && length > rules[name].value) {
+        report(
+          name,
+          subtitle,
+          index,
+          `Line ${i + 1} has ${length} characters (max ${rules[name].value}${
+            cjk ? " for CJK" : ""
+          })`
+        );
+      }
+    });
+
+    if (rules.maxLines && lines.length > rules.maxLines.value) {
+      report(
+        "maxLines",
+        subtitle,
+        index,
+        `Cue has ${lines.length} lines (max ${rules.maxLines.value})`
+      );
+    }
+
+    if (rules.maxCPS && duration > 0) {
+      const cps = countCharacters(lines.join("")) / (duration / 1000);
+      if (cps > rules.maxCPS.value) {
+        report(
+          "maxCPS",
+          subtitle,
+          index,
+          `Reading speed is ${cps.toFixed(1)} characters per second (max ${
+            rules.maxCPS.value
+          })`
+        );
+      }
+    }
+
+    if (rules.minDuration && duration < rules.minDuration.value) {
+      report(
+        "minDuration",
+        subtitle,
+        index,
+        `Cue lasts ${duration} ms (min ${rules.minDuration.value} ms)`
+      );
+    }
+    if (rules.maxDuration && duration > rules.maxDuration.value) {
+      report(
+        "maxDuration",
+        subtitle,
+        index,
+        `Cue lasts ${duration} ms (max ${rules.maxDuration.value} ms)`
+      );
+    }
+  });
+
+  // Gaps and overlaps between consecutive cues at the same position
+  const byPosition = new Map();
+  subtitles.forEach((subtitle, index) => {
+    const position = subtitle.displayAlign || "after";
+    if (!byPosition.has(position)) byPosition.set(position, []);
+    byPosition.get(position).push({ subtitle, index });
+  });
+
+  byPosition.forEach((cues) => {
+    cues.sort((a, b) => a.subtitle.start - b.subtitle.start);
+
+    for (let i = 1; i < cues.length; i++) {
+      const previous = cues[i - 1].subtitle;
+      const { subtitle, index } = cues[i];
+      const gap = subtitle.start - previous.end;
+
+      if (rules.overlap && gap < 0) {
+        report(
+          "overlap",
+          subtitle,
+          index,
+          `Cue overlaps the previous cue by ${-gap} ms`
+        );
+      } else if (rules.minGap && gap > 0 && gap < rules.minGap.value) {
+        report(
+          "minGap",
+          subtitle,
+          index,
+          `Gap to the previous cue is ${gap} ms (min ${rules.minGap.value} ms, or none)`
+        );
+      }
+    }
+  });
+
+  return violations.sort((a, b) => a.index - b.index);
+}
+
+/**
+ * Format the violations found in a file for the terminal
+ * @param {string} file - The file name
+ * @param {Array} violations - Violations from lintSubtitles
+ * @returns {string} - One line per violation
+ */
+function formatLintViolations(file, violations) {
+  return violations
+    .map(
+      (violation) =>
+        `${file}:${violation.index} ${formatSRTTime(violation.start)} ${
+          violation.severity
+        } ${violation.rule}: ${violation.message}`
+    )
+    .join("\n");
+}
+
+/**
+ * Count violations by severity
+ * @param {Array} violations - Violations from lintSubtitles
+ * @returns {Object} - { errors, warnings }
+ */
+function countViolations(violations) {
+  const errors = violations.filter((v) => v.severity === "error").length;
+  return { errors, warnings: violations.length - errors };
+}
+
+module.exports = {
+  LINT_PRESETS,
+  resolveLintRules,
+  countCharacters,
+  isCJKLine,
+  lintSubtitles,
+  formatLintViolations,
+  countViolations,
+};
@@ -0,0 +1,201 @@
+/**
+ * Translation-memory export: aligned lines of two languages as TMX 1.4 or
+ * aligned JSON.
+ *
+ * Every pair found by the paired-mode alignment becomes a translation unit
+ * with the language of each file, the episode and the timing. Units of any
+ * number of episodes go into one memory:
+ *
+ *   <tu tuid="ep1-1">
+ *     <prop type="x-episode">ep1</prop>
+ *     <prop type="x-start">00:00:14.014</prop>
+ *     <prop type="x-end">00:00:17.226</prop>
+ *     <tuv xml:lang="ko"><prop type="x-file">ep1-kr.xml</prop><seg>...</seg></tuv>
+ *     <tuv xml:lang="zh-Hant"><prop type="x-file">ep1-ch.xml</prop><seg>...</seg></tuv>
+ *   </tu>
+ */
+
+const path = require("path");
+const { buildStudyRows } = require("./study");
+const { formatVTTTime } = require("./vtt");
+const { version } = require("../package.json");
+
+/**
+ * Build the translation units of one episode from its paired alignment
+ * @param {Object} document - A document with the source and translation tracks, in that order
+ * @param {string} episode - Name of the episode
+ * @returns {Array} - Units { episode, index, start, end, source, translation }, where
+ *   source and translation are { language, file, text }
+ */
+function buildMemoryUnits(document, episode) {
+  const [source, translation] = document.tracks;
+  [source, translation].forEach((track) => {
+    if (!track.language) {
+      throw new Error(
+        `Cannot tell the language of ${track.source}. A translation memory needs the language of every file.`
+      );
+    }
+  });
+
+  const side = (track, text) => ({
+    language: track.language,
+    file: track.source && path.basename(track.source),
+    text,
+  });
+
+  return buildStudyRows(document, episode).map((row) => ({
+    episode: row.episode,
+    index: row.index,
+    start: row.start,
+    end: row.end,
+    source: side(source, row.source),
+    translation: side(translation, row.translation),
+  }));
+}
+
+/**
+ * Escape text for an XML element or attribute
+ * @param {string} text - The text
+ * @returns {string} - The escaped text
+ */
+function escapeXML(text) {
+  return String(text)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
+/**
+ * Format a date as a TMX date (YYYYMMDDThhmmssZ)
+ * @param {Date} date - The date
+ * @returns {string} - The date in UTC
+ */
+function formatTMXDate(date) {
+  return date.toISOString().replace(/[-:]/g, "").replace(/\.\d+/, "");
+}
+
+/**
+ * Write translation units as a TMX 1.4 document
+ * @param {Array} units - Units from buildMemoryUnits
+ * @param {Object} [options] - TMX options
+ * @param {Date} [options.date] - Creation date of the memory (default: now)
+ * @returns {string} - The TMX document
+ */
+function formatTMX(units, options = {}) {
+  const sourceLanguages = [
+    ...new Set(units.map((unit) => unit.source.language)),
+  ];
+  const srclang = sourceLanguages.length === 1 ? sourceLanguages[0] : "*all*";
+
+  const variant = (side) => {
+    const file = side.file
+      ? `<prop type="x-file">${escapeXML(side.file)}</prop>`
+      : "";
+    return `      <tuv xml:lang="${escapeXML(
+      side.language
+    )}">${file}<seg>${escapeXML(side.text)}</seg></tuv>\n`;
+  };
+
+  let content = '<?xml version="1.0" encoding="UTF-8"?>\n';
+  content += '<tmx version="1.4">\n';
+  content += `  <header creationtool="xml-subtitle-converter" creationtoolversion="${version}" creationdate="${formatTMXDate(
+    options.date || new Date()
+  )}" datatype="plaintext" segtype="block" adminlang="en" srclang="${escapeXML(
+    srclang
+  )}" o-tmf="xml-subtitle-converter"/>\n`;
+  content += "  <body>\n";
+
+  units.forEach((unit) => {
+    content += `    <tu tuid="${escapeXML(
+      `${unit.episode}-${unit.index}`
+    )}">\n`;
+    content += `      <prop type="x-episode">${escapeXML(
+      unit.episode
+    )}</prop>\n`;
+    content += `      <prop type="x-start">${formatVTTTime(
+      unit.start
+    )}</prop>\n`;
+    content += `      <prop type="x-end">${formatVTTTime(unit.end)}</prop>\n`;
+    content += variant(unit.source);
+    content += variant(unit.translation);
+    content += "    </tu>\n";
+  });
+
+  content += "  </body>\n";
+  content += "</tmx>\n";
+  return content;
+}
+
+/**
+ * Write translation units as aligned JSON
+ * The episodes list the files and languages they came from; units keep their
+ * times in milliseconds, like the alignment report.
+ * @param {Array} units - Units from buildMemoryUnits
+ * @returns {string} - The JSON document
+ */
+function formatAlignedJSON(units) {
+  const episodes = new Map();
+  units.forEach((unit) => {
+    if (!episodes.has(unit.episode)) {
+      episodes.set(unit.episode, {
+        episode: unit.episode,
+        source: { language: unit.source.language, file: unit.source.file },
+        translation: {
+          language: unit.translation.language,
+          file: unit.translation.file,
+        },
+        pairs: 0,
+      });
+    }
+    episodes.get(unit.episode).pairs++;
+  });
+
+  const memory = {
+    episodes: [...episodes.values()],
+    units: units.map((unit) => ({
+      episode: unit.episode,
+      index: unit.index,
+      start: unit.start,
+      end: unit.end,
+      source: { language: unit.source.language, text: unit.source.text },
+      translation: {
+        language: unit.translation.language,
+        text: unit.translation.text,
+      },
+    })),
+  };
+  return `${JSON.stringify(memory, null, 2)}\n`;
+}
+
+// Writers of each memory format
+const MEMORY_FORMATS = {
+  tmx: formatTMX,
+  json: formatAlignedJSON,
+};
+
+/**
+ * Write translation units as a memory file
+ * @param {Array} units - Units from buildMemoryUnits
+ * @param {string} [format] - "tmx" or "json" (default: "tmx")
+ * @returns {string} - The memory file content
+ */
+function formatMemory(units, format = "tmx") {
+  const writer = MEMORY_FORMATS[format];
+  if (!writer) {
+    throw new Error(
+      `Invalid memory format "${format}". Use ${Object.keys(
+        MEMORY_FORMATS
+      ).join(" or ")}.`
+    );
+  }
+  return writer(units);
+}
+
+module.exports = {
+  MEMORY_FORMATS,
+  buildMemoryUnits,
+  formatTMX,
+  formatAlignedJSON,
+  formatMemory,
+};
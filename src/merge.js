@@ -0,0 +1,106 @@
+/**
+ * Overlap-merged bilingual cues for merged mode.
+ *
+ * The timeline is cut at every cue boundary of both tracks. Each resulting
+ * segment shows whatever text of each track is active during it, so the
+ * output has exactly one cue on screen at any time.
+ */
+
+const DEFAULT_MERGE_OPTIONS = {
+  // Boundaries of the two tracks closer than this (ms) are treated as one,
+  // so near-simultaneous cues do not produce flashes of one language
+  snap: 100,
+};
+
+/**
+ * Snap boundaries that lie within `snap` ms of each other to the earliest one
+ * @param {Array} times - Boundary times in milliseconds
+ * @param {number} snap - The snapping distance
+ * @returns {Map} - Map of original time to snapped time
+ */
+function snapBoundaries(times, snap) {
+  const sorted = [...new Set(times)].sort((a, b) => a - b);
+  const snapped = new Map();
+  let anchor = -Infinity;
+
+  sorted.forEach((time) => {
+    if (time - anchor > snap) {
+      anchor = time;
+    }
+    snapped.set(time, anchor);
+  });
+
+  return snapped;
+}
+
+/**
+ * Get the text of all cues active during a segment
+ * @param {Array} cues - Snapped cues of one track
+ * @param {number} start - Segment start
+ * @param {number} end - Segment end
+ * @returns {string} - The active text, one cue per line block
+ */
+function activeText(cues, start, end) {
+  return cues
+    .filter((cue) => cue.start < end && cue.end > start)
+    .map((cue) => cue.text)
+    .join("\n");
+}
+
+/**
+ * Merge two subtitle tracks into non-overlapping segments
+ * @param {Array} subtitles1 - Subtitles of the first track
+ * @param {Array} subtitles2 - Subtitles of the second track
+ * @param {Object} [options] - Overrides for DEFAULT_MERGE_OPTIONS
+ * @returns {Array} - Segments in time order: { start, end, text1, text2 }
+ */
+function mergeSubtitles(subtitles1, subtitles2, options = {}) {
+  const { snap } = { ...DEFAULT_MERGE_OPTIONS, ...options };
+  const all = [...subtitles1, ...subtitles2];
+  const snapped = snapBoundaries(
+    all.flatMap((cue) => [cue.start, cue.end]),
+    snap
+  );
+  // A cue shorter than the snapping distance keeps its own end instead of
+  // collapsing onto its start, so its text is not lost
+  const snapCue = (cue) => {
+    const start = snapped.get(cue.start);
+    const end = snapped.get(cue.end);
+    return { ...cue, start, end: end > start ? end : cue.end };
+  };
+  const track1 = subtitles1.map(snapCue).filter((cue) => cue.end > cue.start);
+  const track2 = subtitles2.map(snapCue).filter((cue) => cue.end > cue.start);
+
+  const boundaries = [
+    ...new Set([...track1, ...track2].flatMap((cue) => [cue.start, cue.end])),
+  ].sort((a, b) => a - b);
+  const segments = [];
+
+  for (let i = 0; i < boundaries.length - 1; i++) {
+    const start = boundaries[i];
+    const end = boundaries[i + 1];
+    const text1 = activeText(track1, start, end);
+    const text2 = activeText(track2, start, end);
+    if (!text1 && !text2) continue;
+
+    // Extend the previous segment when nothing on screen changes
+    const previous = segments[segments.length - 1];
+    if (
+      previous &&
+      previous.end === start &&
+      previous.text1 === text1 &&
+      previous.text2 === text2
+    ) {
+      previous.end = end;
+    } else {
+      segments.push({ start, end, text1, text2 });
+    }
+  }
+
+  return segments;
+}
+
+module.exports = {
+  DEFAULT_MERGE_OPTIONS,
+  mergeSubtitles,
+};
@@ -0,0 +1,230 @@
+/**
+ * Text normalisation of subtitles read from a file.
+ *
+ * Settings say what to remove and what to do with dialogue dashes, and can
+ * be adjusted for language ranges:
+ *
+ *   { remove: ["music"], dialogue: "keep", languages: { zh: { remove: ["notes"], dialogue: "split" } } }
+ *
+ * What can be removed:
+ * - notes: translator and on-screen notes in full-width brackets, e.g. （九歲的高謙）
+ * - sdh: sound and SDH descriptions in square brackets or parentheses, e.g. [door slams]
+ * - speakers: speaker labels at the start of a line, e.g. "JOHN:", "男：" or "（小明）"
+ *   (the dash stays)
+ * - music: music symbols (♪)
+ *
+ * Dialogue cues (lines starting with a dash) are kept as they are, get their
+ * dashes stripped so each speaker is a plain line, or are split into one cue
+ * per speaker. Cues left without text are dropped.
+ *
+ * The module also joins lines of text into one, leaving out the space
+ * between words of scripts written without spaces.
+ */
+
+const { matchesLanguage } = require("./language");
+const { countCharacters } = require("./lint");
+const { restyleText, removeText } = require("./styles");
+
+// Text each removable item matches
+const REMOVABLE = {
+  notes: /（[^（）]*）|【[^【】]*】|〔[^〔〕]*〕/gu,
+  sdh: /\[[^[\]]*\]|\([^()]*\)/g,
+  // A full-width label is a bracketed name or at most four Han characters
+  // and a colon, and is only a label when the line goes on after it, so
+  // lines such as "他說：" keep their colon
+  speakers:
+    /(?<=^[ \t]*(?:[-‐–—][ \t]*)?)(?:\p{Lu}[\p{Lu}\p{N} .'’-]*:|(?:（[^（）\s]{1,10}）|\p{Script=Han}{1,4}：)(?=[ \t]*\S))[ \t]*/gmu,
+  music: /[♪♫♬♩]/gu,
+};
+
+const DIALOGUE_MODES = ["keep", "strip", "split"];
+
+// A dialogue line starts with a dash
+const DIALOGUE_DASH = /^[-‐–—][ \t]*/gm;
+// Characters of scripts written without spaces between words
+const UNSPACED =
+  /[\p{Script=Han}\p{Script=Hiragana}\p{Script=Katakana}，。！？、；：]/u;
+
+/**
+ * Join two pieces of text with a space, unless both sides are unspaced script
+ * @param {string} a - The first piece
+ * @param {string} b - The second piece
+ * @returns {string} - The joined text
+ */
+function joinText(a, b) {
+  if (!a) return b;
+  if (!b) return a;
+  return UNSPACED.test(a.slice(-1)) && UNSPACED.test(b[0])
+    ? `${a}${b}`
+    : `${a} ${b}`;
+}
+
+/**
+ * Put the lines of a cue on one line
+ * @param {string} text - The cue text
+ * @returns {string} - The text without line breaks
+ */
+function singleLine(text) {
+  return text
+    .split("\n")
+    .map((line) => line.trim())
+    .reduce(joinText, "");
+}
+
+/**
+ * Resolve normalisation settings for one language
+ * Overrides of more specific language ranges win.
+ * @param {Object} [settings] - { remove, dialogue, languages }
+ * @param {string} [language] - Language of the subtitles
+ * @returns {Object} - { remove, dialogue } with remove as an array of item names
+ */
+function resolveNormalizeSettings(settings = {}, language) {
+  const overrides = Object.keys(settings.languages || {})
+    .filter((range) => matchesLanguage(language, range))
+    .sort((a, b) => a.length - b.length)
+    .map((range) => settings.languages[range]);
+  const merged = Object.assign(
+    { remove: [], dialogue: "keep" },
+    settings.remove !== undefined && { remove: settings.remove },
+    settings.dialogue !== undefined && { dialogue: settings.dialogue },
+    ...overrides
+  );
+
+  merged.remove.forEach((item) => {
+    if (!REMOVABLE[item]) {
+      throw new Error(
+        `Unknown text to remove "${item}". Use ${Object.keys(REMOVABLE).join(
+          ", "
+        )}.`
+      );
+    }
+  });
+  if (!DIALOGUE_MODES.includes(merged.dialogue)) {
+    throw new Error(
+      `Invalid dialogue mode "${merged.dialogue}". Use ${DIALOGUE_MODES.join(
+        ", "
+      )}.`
+    );
+  }
+
+  return { remove: merged.remove, dialogue: merged.dialogue };
+}
+
+/**
+ * Tidy text after removals: collapse spaces, trim lines and drop lines that
+ * are empty or only a dash
+ * @param {Object} cue - { text, spans }
+ * @returns {Object} - The tidied { text, spans }
+ */
+function tidyText(cue) {
+  const text = cue.text
+    .split("\n")
+    .map((line) => line.replace(/[ \t]+/g, " ").trim())
+    .filter((line) => line && !/^[-‐–—]$/.test(line))
+    .join("\n");
+  const [spans] = restyleText(cue.spans, [text]);
+
+  return { text, spans };
+}
+
+/**
+ * Split a dialogue cue into one cue per speaker
+ * Each turn starts at a line with a dash; the cue's time is shared out by the
+ * length of each turn.
+ * @param {Object} subtitle - The subtitle, with tidied text
+ * @returns {Array} - The subtitles of the turns (the subtitle itself when it is not dialogue)
+ */
+function splitDialogue(subtitle) {
+  const starts = subtitle.text.split("\n").map((line) => /^[-‐–—]/.test(line));
+  const stripped = tidyText(
+    removeText(subtitle.text, subtitle.spans, DIALOGUE_DASH)
+  );
+
+  const turns = [];
+  stripped.text.split("\n").forEach((line, i) => {
+    if (starts[i] || !turns.length) {
+      turns.push(line);
+    } else {
+      turns[turns.length - 1] += `\n${line}`;
+    }
+  });
+  if (turns.length < 2) {
+    return [{ ...subtitle, ...stripped }];
+  }
+
+  const spans = restyleText(stripped.spans, turns);
+  const lengths = turns.map((turn) => countCharacters(turn));
+  const total = lengths.reduce((sum, length) => sum + length, 0);
+  const duration = subtitle.end - subtitle.start;
+  let start = subtitle.start;
+  let counted = 0;
+
+  return turns.map((text, i) => {
+    counted += lengths[i];
+    const end =
+      i === turns.length - 1
+        ? subtitle.end
+        : subtitle.start + Math.round((duration * counted) / total);
+    const turn = {
+      ...subtitle,
+      id: `${subtitle.id}-${i + 1}`,
+      start,
+      end,
+      text,
+      spans: spans[i],
+    };
+    start = end;
+    return turn;
+  });
+}
+
+/**
+ * Normalise the text of subtitles
+ * @param {Array} subtitles - Array of subtitle objects
+ * @param {Object} [settings] - Normalisation settings { remove, dialogue, languages }
+ * @param {string} [language] - Language of the track (default: the subtitles' own)
+ * @returns {Array} - The normalised subtitle objects
+ */
+function normalizeSubtitles(subtitles, settings = {}, language) {
+  const trackLanguage =
+    language ||
+    (subtitles.find((subtitle) => subtitle.language) || {}).language;
+  const { remove, dialogue } = resolveNormalizeSettings(
+    settings,
+    trackLanguage
+  );
+  if (!remove.length && dialogue === "keep") return subtitles;
+
+  return subtitles
+    .flatMap((subtitle) => {
+      let cue = { text: subtitle.text, spans: subtitle.spans };
+      remove.forEach((item) => {
+        cue = removeText(cue.text, cue.spans, REMOVABLE[item]);
+      });
+      const normalized = { ...subtitle, ...tidyText(cue) };
+
+      if (dialogue === "strip") {
+        return [
+          {
+            ...normalized,
+            ...tidyText(
+              removeText(normalized.text, normalized.spans, DIALOGUE_DASH)
+            ),
+          },
+        ];
+      }
+      return dialogue === "split" ? splitDialogue(normalized) : [normalized];
+    })
+    .filter((subtitle) => subtitle.text)
+    .map(({ spans, ...subtitle }) =>
+      spans ? { ...subtitle, spans } : subtitle
+    );
+}
+
+module.exports = {
+  UNSPACED,
+  joinText,
+  singleLine,
+  resolveNormalizeSettings,
+  normalizeSubtitles,
+};
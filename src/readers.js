@@ -0,0 +1,355 @@
+/**
+ * Input readers for the subtitle formats we accept.
+ *
+ * Every reader returns the same subtitle objects as the TTML path
+ * ({ id, start, end, region, displayAlign, style, text, language }), so the
+ * writers and combine modes do not care where a track came from.
+ */
+
+const { normalizeLanguage } = require("./language");
+const { restyleText, parseSRTMarkup } = require("./styles");
+
+const TIMESTAMP = /^(?:(\d+):)?(\d{1,2}):(\d{1,2})(?:[.,](\d{1,3}))?$/;
+const CUE_TIMING = /^\s*(\S+)\s+-->\s+(\S+)(.*)$/;
+
+// ASS alignments (numpad layout) and legacy SSA alignments that sit at the
+// top or in the middle of the screen
+const ASS_ALIGN = {
+  7: "before",
+  8: "before",
+  9: "before",
+  4: "center",
+  5: "center",
+  6: "center",
+};
+const SSA_ALIGN = {
+  5: "before",
+  6: "before",
+  7: "before",
+  9: "center",
+  10: "center",
+  11: "center",
+};
+
+/**
+ * Parse an SRT, WebVTT or ASS timestamp to milliseconds
+ * Accepts "HH:MM:SS,mmm", "HH:MM:SS.mmm", "MM:SS.mmm" and "H:MM:SS.cc".
+ * @param {string} value - The timestamp
+ * @returns {number} - The time in milliseconds
+ */
+function parseTimestamp(value) {
+  const match = String(value).trim().match(TIMESTAMP);
+  if (!match) {
+    throw new Error(`Invalid timestamp "${value}"`);
+  }
+
+  const [, hours = "0", minutes, seconds, fraction = "0"] = match;
+  return (
+    Number(hours) * 3600000 +
+    Number(minutes) * 60000 +
+    Number(seconds) * 1000 +
+    Number(fraction.padEnd(3, "0"))
+  );
+}
+
+/**
+ * Decode the HTML character references used in SRT and WebVTT text
+ * @param {string} text - The text
+ * @returns {string} - The decoded text
+ */
+function decodeEntities(text) {
+  const named = { amp: "&", lt: "<", gt: ">", quot: '"', apos: "'", nbsp: " " };
+
+  return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (entity, name) => {
+    if (name[0] === "#") {
+      const code =
+        name[1] === "x" || name[1] === "X"
+          ? parseInt(name.slice(2), 16)
+          : parseInt(name.slice(1), 10);
+      return String.fromCodePoint(code);
+    }
+    if (name === "lrm" || name === "rlm") return "";
+    return named[name] !== undefined ? named[name] : entity;
+  });
+}
+
+/**
+ * Split text into blocks separated by blank lines
+ * @param {string} content - The file content
+ * @returns {Array} - Array of blocks, each an array of lines
+ */
+function splitBlocks(content) {
+  return content
+    .replace(/^\uFEFF/, "")
+    .replace(/\r\n?/g, "\n")
+    .split(/\n[ \t]*\n/)
+    .map((block) => block.split("\n").filter((line, i) => i > 0 || line.trim()))
+    .filter((lines) => lines.length > 0);
+}
+
+/**
+ * Read cue text with <i>, <b> and <font color> tags into plain text and spans
+ * @param {string} text - The cue text, without {\...} override tags
+ * @returns {Object} - { text, spans } with decoded, trimmed text
+ */
+function readMarkup(text) {
+  const markup = parseSRTMarkup(text);
+  const plain = decodeEntities(markup.text).trim();
+  const [spans] = restyleText(
+    markup.spans &&
+      markup.spans.map((span) => ({
+        ...span,
+        text: decodeEntities(span.text),
+      })),
+    [plain]
+  );
+
+  return { text: plain, spans };
+}
+
+/**
+ * Build a subtitle object in the shape shared by all readers
+ * @param {Object} fields - id, start, end, text and optional displayAlign/style/spans
+ * @param {string} [language] - Optional language label
+ * @returns {Object} - The subtitle object
+ */
+function createSubtitle(fields, language) {
+  const subtitle = {
+    id: fields.id,
+    start: fields.start,
+    end: fields.end,
+    region: undefined,
+    displayAlign: fields.displayAlign || "after",
+    style: fields.style,
+    text: fields.text,
+  };
+
+  if (fields.spans) {
+    subtitle.spans = fields.spans;
+  }
+  if (language) {
+    subtitle.language = language;
+  }
+
+  return subtitle;
+}
+
+/**
+ * Parse SRT content
+ * An {\an7}-{\an9} tag places the cue at the top; <i>, <b> and <font color>
+ * tags become spans and other tags are removed.
+ * @param {string} content - The SRT content
+ * @param {string} [language] - Optional language label attached to every subtitle
+ * @returns {Array} - Array of subtitle objects
+ */
+function parseSRT(content, language) {
+  const subtitles = [];
+
+  splitBlocks(content).forEach((lines) => {
+    const timingIndex = lines.findIndex((line) => CUE_TIMING.test(line));
+    if (timingIndex === -1) return;
+
+    const [, start, end] = lines[timingIndex].match(CUE_TIMING);
+    let text = lines.slice(timingIndex + 1).join("\n");
+    let displayAlign;
+
+    const alignment = text.match(/\{\\an(\d)\}/);
+    if (alignment) {
+      displayAlign = ASS_ALIGN[alignment[1]];
+    }
+    text = text.replace(/\{\\[^}]*\}/g, "");
+
+    subtitles.push(
+      createSubtitle(
+        {
+          id: timingIndex > 0 ? lines[0].trim() : String(subtitles.length + 1),
+          start: parseTimestamp(start),
+          end: parseTimestamp(end),
+          displayAlign,
+          ...readMarkup(text),
+        },
+        language
+      )
+    );
+  });
+
+  return subtitles;
+}
+
+/**
+ * Map WebVTT cue settings to a TTML displayAlign value
+ * Only the line setting matters: line 0 (or a low percentage) is the top,
+ * 50% is the middle, anything else is left at the bottom.
+ * @param {string} settings - The cue settings after the timestamps
+ * @returns {string|undefined} - "before", "center" or undefined
+ */
+function displayAlignFromVTTSettings(settings) {
+  const line = (settings.match(/(?:^|\s)line:([^\s,]+)/) || [])[1];
+  if (line === undefined) return undefined;
+
+  if (line.endsWith("%")) {
+    const percent = parseFloat(line);
+    if (percent < 33) return "before";
+    if (percent < 67) return "center";
+    return undefined;
+  }
+
+  return Number(line) >= 0 ? "before" : undefined;
+}
+
+/**
+ * Parse WebVTT content
+ * NOTE, STYLE and REGION blocks are skipped. <i> and <b> tags become spans and
+ * other cue markup is removed.
+ * @param {string} content - The WebVTT content
+ * @param {string} [language] - Language attached to every subtitle, overriding a Language header
+ * @returns {Array} - Array of subtitle objects
+ */
+function parseVTT(content, language) {
+  const blocks = splitBlocks(content);
+
+  if (!blocks.length || !/^WEBVTT(?:[ \t]|$)/.test(blocks[0][0])) {
+    throw new Error("Not a WebVTT file: missing WEBVTT header");
+  }
+
+  // A "Language:" header line, as written by YouTube and others
+  const header = blocks[0].find((line) => /^Language:/i.test(line));
+  if (!language && header) {
+    try {
+      language = normalizeLanguage(header.slice(header.indexOf(":") + 1));
+    } catch (error) {
+      // Ignore malformed headers and fall back to detection
+    }
+  }
+
+  const subtitles = [];
+
+  blocks.slice(1).forEach((lines) => {
+    if (/^(NOTE|STYLE|REGION)(?:[ \t]|$)/.test(lines[0])) return;
+
+    const timingIndex = lines.findIndex((line) => CUE_TIMING.test(line));
+    if (timingIndex === -1) return;
+
+    const [, start, end, settings] = lines[timingIndex].match(CUE_TIMING);
+    const text = lines.slice(timingIndex + 1).join("\n");
+
+    subtitles.push(
+      createSubtitle(
+        {
+          id: timingIndex > 0 ? lines[0].trim() : String(subtitles.length + 1),
+          start: parseTimestamp(start),
+          end: parseTimestamp(end),
+          displayAlign: displayAlignFromVTTSettings(settings),
+          ...readMarkup(text),
+        },
+        language
+      )
+    );
+  });
+
+  return subtitles;
+}
+
+/**
+ * Split an ASS "Format:"-described line into named fields
+ * The last field (Text) may itself contain commas.
+ * @param {Array} format - Field names from the section's Format line
+ * @param {string} value - The line value after "Dialogue:" or "Style:"
+ * @returns {Object} - Map of field name to value
+ */
+function splitASSFields(format, value) {
+  const parts = value.split(",");
+  const fields = {};
+
+  format.forEach((name, i) => {
+    fields[name] =
+      i === format.length - 1
+        ? parts.slice(i).join(",")
+        : (parts[i] || "").trim();
+  });
+
+  return fields;
+}
+
+/**
+ * Parse ASS/SSA content
+ * Placement comes from the event's style alignment or an inline {\an} override.
+ * @param {string} content - The ASS or SSA content
+ * @param {string} [language] - Optional language label attached to every subtitle
+ * @returns {Array} - Array of subtitle objects
+ */
+function parseASS(content, language) {
+  const lines = content
+    .replace(/^\uFEFF/, "")
+    .replace(/\r\n?/g, "\n")
+    .split("\n");
+  const styleAlign = {};
+  const subtitles = [];
+  let section = "";
+  let format = [];
+
+  lines.forEach((rawLine) => {
+    const line = rawLine.trim();
+    const sectionMatch = line.match(/^\[(.+)\]$/);
+
+    if (sectionMatch) {
+      section = sectionMatch[1].toLowerCase();
+      format = [];
+      return;
+    }
+
+    const separator = line.indexOf(":");
+    if (separator === -1) return;
+
+    const key = line.slice(0, separator).trim();
+    const value = line.slice(separator + 1).trim();
+
+    if (key === "Format") {
+      format = value.split(",").map((name) => name.trim());
+    } else if (key === "Style" && section.endsWith("styles")) {
+      const fields = splitASSFields(format, value);
+      const alignments = section === "v4 styles" ? SSA_ALIGN : ASS_ALIGN;
+      // Alignment is optional; a style without it keeps the default placement
+      styleAlign[fields.Name] =
+        fields.Alignment && alignments[fields.Alignment.trim()];
+    } else if (key === "Dialogue" && section === "events") {
+      const fields = splitASSFields(format, value);
+      const override = fields.Text.match(/\{[^}]*\\an(\d)[^}]*\}/);
+      const legacy = fields.Text.match(/\{[^}]*\\a(\d+)[^}]*\}/);
+      let displayAlign = styleAlign[fields.Style];
+
+      if (override) {
+        displayAlign = ASS_ALIGN[override[1]];
+      } else if (legacy) {
+        displayAlign = SSA_ALIGN[legacy[1]];
+      }
+
+      subtitles.push(
+        createSubtitle(
+          {
+            id: String(subtitles.length + 1),
+            start: parseTimestamp(fields.Start),
+            end: parseTimestamp(fields.End),
+            displayAlign,
+            style: fields.Style,
+            text: fields.Text.replace(/\{[^}]*\}/g, "")
+              .replace(/\\[Nn]/g, "\n")
+              .replace(/\\h/g, " ")
+              .trim(),
+          },
+          language
+        )
+      );
+    }
+  });
+
+  // Events are not required to be in order
+  return subtitles.sort((a, b) => a.start - b.start);
+}
+
+module.exports = {
+  parseTimestamp,
+  parseSRT,
+  parseVTT,
+  parseASS,
+};
@@ -0,0 +1,153 @@
+/**
+ * Alignment diagnostics for paired mode.
+ *
+ * Turns the groups produced by alignSubtitles into a report listing every
+ * pair with its start times, delta and confidence, the cues left unmatched on
+ * each side, and aggregate statistics for spotting badly aligned episodes.
+ */
+
+const { formatSRTTime } = require("./time");
+
+/**
+ * Describe a cue for the report
+ * @param {Object} cue - Subtitle object
+ * @returns {Object} - { id, start, end, text }
+ */
+function reportCue(cue) {
+  return { id: cue.id, start: cue.start, end: cue.end, text: cue.text };
+}
+
+/**
+ * Build an alignment report from aligned groups
+ * @param {Array} groups - Groups from alignSubtitles
+ * @param {Object} [tracks] - Optional { file1, file2, language1, language2 } recorded in the report
+ * @returns {Object} - { tracks, summary, pairs, unmatched1, unmatched2 }
+ */
+function buildAlignmentReport(groups, tracks = {}) {
+  const pairs = [];
+  const unmatched1 = [];
+  const unmatched2 = [];
+
+  groups.forEach((group) => {
+    if (!group.subtitles2.length) {
+      unmatched1.push(...group.subtitles1.map(reportCue));
+      return;
+    }
+    if (!group.subtitles1.length) {
+      unmatched2.push(...group.subtitles2.map(reportCue));
+      return;
+    }
+
+    const start1 = group.subtitles1[0].start;
+    const start2 = group.subtitles2[0].start;
+    pairs.push({
+      index: pairs.length + 1,
+      ids1: group.subtitles1.map((cue) => cue.id),
+      ids2: group.subtitles2.map((cue) => cue.id),
+      start1,
+      start2,
+      delta: start2 - start1,
+      confidence: Number(group.confidence.toFixed(3)),
+      text1: group.text1,
+      text2: group.text2,
+    });
+  });
+
+  const matched1 = pairs.reduce((sum, pair) => sum + pair.ids1.length, 0);
+  const matched2 = pairs.reduce((sum, pair) => sum + pair.ids2.length, 0);
+  const cues1 = matched1 + unmatched1.length;
+  const cues2 = matched2 + unmatched2.length;
+  const deltas = pairs.map((pair) => Math.abs(pair.delta));
+  const ratio = (part, whole) =>
+    whole > 0 ? Number((part / whole).toFixed(4)) : 0;
+
+  return {
+    tracks: {
+      file1: tracks.file1,
+      file2: tracks.file2,
+      language1: tracks.language1,
+      language2: tracks.language2,
+    },
+    summary: {
+      cues1,
+      cues2,
+      pairs: pairs.length,
+      oneToOne: pairs.filter(
+        (pair) => pair.ids1.length === 1 && pair.ids2.length === 1
+      ).length,
+      matched1,
+      matched2,
+      unmatched1: unmatched1.length,
+      unmatched2: unmatched2.length,
+      matchRate: ratio(matched1 + matched2, cues1 + cues2),
+      matchRate1: ratio(matched1, cues1),
+      matchRate2: ratio(matched2, cues2),
+      meanDelta: deltas.length
+        ? Math.round(deltas.reduce((sum, d) => sum + d, 0) / deltas.length)
+        : 0,
+      maxDelta: deltas.length ? Math.max(...deltas) : 0,
+      meanConfidence: ratio(
+        pairs.reduce((sum, pair) => sum + pair.confidence, 0),
+        pairs.length
+      ),
+    },
+    pairs,
+    unmatched1,
+    unmatched2,
+  };
+}
+
+/**
+ * Format the summary of an alignment report for the terminal
+ * @param {Object} report - Report from buildAlignmentReport
+ * @returns {string} - Human-readable summary lines
+ */
+function formatReportSummary(report) {
+  const { tracks, summary } = report;
+  const percent = (value) => `${(value * 100).toFixed(1)}%`;
+  const lines = [];
+
+  if (tracks.file1 && tracks.file2) {
+    lines.push(`Alignment of ${tracks.file1} and ${tracks.file2}:`);
+  }
+  lines.push(
+    `  Pairs: ${summary.pairs} (${summary.oneToOne} one-to-one, ${
+      summary.pairs - summary.oneToOne
+    } grouped)`,
+    `  Matched: ${summary.matched1}/${
+      summary.cues1
+    } cues of the first file (${percent(summary.matchRate1)}), ${
+      summary.matched2
+    }/${summary.cues2} of the second (${percent(summary.matchRate2)})`,
+    `  Match rate: ${percent(
+      summary.matchRate
+    )}, mean confidence ${summary.meanConfidence.toFixed(2)}`,
+    `  Start delta: mean ${summary.meanDelta} ms, max ${summary.maxDelta} ms`
+  );
+
+  const unmatched = [
+    ...report.unmatched1.map((cue) => ({ ...cue, file: 1 })),
+    ...report.unmatched2.map((cue) => ({ ...cue, file: 2 })),
+  ].sort((a, b) => a.start - b.start);
+  lines.push(
+    `  Unmatched: ${summary.unmatched1} in the first file, ${summary.unmatched2} in the second`
+  );
+  unmatched.slice(0, 10).forEach((cue) => {
+    lines.push(
+      `    [${cue.file}] ${formatSRTTime(cue.start)} ${cue.text.replace(
+        /\n/g,
+        " / "
+      )}`
+    );
+  });
+  if (unmatched.length > 10) {
+    lines.push(`    ... and ${unmatched.length - 10} more`);
+  }
+
+  return lines.join("\n");
+}
+
+module.exports = {
+  buildAlignmentReport,
+  formatReportSummary,
+};
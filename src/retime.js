@@ -0,0 +1,204 @@
+/**
+ * Timing correction for parsed subtitles.
+ *
+ * All functions work on subtitle objects (start/end in milliseconds) and
+ * return new objects, so they can run before any writer.
+ */
+
+const { parseTimeExpression } = require("./time");
+const { parseTimestamp } = require("./readers");
+
+// Common framerates by name. NTSC rates are exact fractions rather than
+// their rounded decimal names.
+const FRAMERATES = {
+  23.976: 24000 / 1001,
+  23.98: 24000 / 1001,
+  24: 24,
+  25: 25,
+  29.97: 30000 / 1001,
+  30: 30,
+  50: 50,
+  59.94: 60000 / 1001,
+  60: 60,
+  film: 24,
+  "ntsc-film": 24000 / 1001,
+  pal: 25,
+  ntsc: 30000 / 1001,
+};
+
+/**
+ * Parse a time value such as "1500", "-2.5s", "300ms" or "00:01:02,345"
+ * Plain numbers are milliseconds.
+ * @param {string|number} value - The time value
+ * @returns {number} - The time in milliseconds
+ */
+function parseTimeValue(value) {
+  const text = String(value).trim();
+  const sign = text.startsWith("-") ? -1 : 1;
+  const unsigned = text.replace(/^[-+]/, "");
+
+  if (/^\d+(\.\d+)?$/.test(unsigned)) {
+    return sign * Number(unsigned);
+  }
+  if (/^\d+(\.\d+)?(h|m|s|ms)$/.test(unsigned)) {
+    return sign * parseTimeExpression(unsigned);
+  }
+  if (unsigned.includes(":")) {
+    return sign * parseTimestamp(unsigned);
+  }
+
+  throw new Error(`Invalid time value "${value}"`);
+}
+
+/**
+ * Parse a framerate given by name or number (e.g. "pal", "25", "23.976")
+ * @param {string|number} value - The framerate
+ * @returns {number} - Frames per second
+ */
+function parseFramerate(value) {
+  const key = String(value).trim().toLowerCase();
+  const rate = FRAMERATES[key] !== undefined ? FRAMERATES[key] : Number(key);
+
+  if (!(rate > 0)) {
+    throw new Error(
+      `Invalid framerate "${value}". Use a number or one of ${Object.keys(
+        FRAMERATES
+      ).join(", ")}.`
+    );
+  }
+
+  return rate;
+}
+
+/**
+ * Apply a time mapping function to every subtitle
+ * Subtitles that end up entirely before zero are dropped; others are clamped.
+ * @param {Array} subtitles - Array of subtitle objects
+ * @param {Function} map - Maps a time in milliseconds to the new time
+ * @returns {Array} - Retimed subtitle objects
+ */
+function mapTimes(subtitles, map) {
+  return subtitles
+    .map((subtitle) => ({
+      ...subtitle,
+      start: Math.max(0, Math.round(map(subtitle.start))),
+      end: Math.round(map(subtitle.end)),
+    }))
+    .filter((subtitle) => subtitle.end > 0);
+}
+
+/**
+ * Shift every subtitle by a constant offset
+ * @param {Array} subtitles - Array of subtitle objects
+ * @param {number} offset - Offset in milliseconds (negative moves earlier)
+ * @returns {Array} - Retimed subtitle objects
+ */
+function shiftSubtitles(subtitles, offset) {
+  return mapTimes(subtitles, (time) => time + offset);
+}
+
+/**
+ * Remap times linearly so that from[0] lands on to[0] and from[1] on to[1]
+ * @param {Array} subtitles - Array of subtitle objects
+ * @param {Array} from - Two reference times in the current timing (ms)
+ * @param {Array} to - Where those two times should land (ms)
+ * @returns {Array} - Retimed subtitle objects
+ */
+function stretchSubtitles(subtitles, from, to) {
+  if (from[0] === from[1]) {
+    throw new Error("The two reference times must be different");
+  }
+
+  const scale = (to[1] - to[0]) / (from[1] - from[0]);
+  return mapTimes(subtitles, (time) => to[0] + (time - from[0]) * scale);
+}
+
+/**
+ * Convert subtitle timing from one framerate to another
+ * For example, a track timed against a 25 fps release is slowed down to match
+ * a 23.976 fps release of the same episode.
+ * @param {Array} subtitles - Array of subtitle objects
+ * @param {string|number} from - Framerate the subtitles were timed for
+ * @param {string|number} to - Framerate of the target video
+ * @returns {Array} - Retimed subtitle objects
+ */
+function convertFramerate(subtitles, from, to) {
+  const scale = parseFramerate(from) / parseFramerate(to);
+  return mapTimes(subtitles, (time) => time * scale);
+}
+
+/**
+ * Apply a retiming specification: framerate conversion, then two-point
+ * remapping, then a constant shift
+ * @param {Array} subtitles - Array of subtitle objects
+ * @param {Object} [spec] - { framerate: [from, to], map: [[t1, t1'], [t2, t2']], shift: ms }
+ * @returns {Array} - Retimed subtitle objects
+ */
+function retimeSubtitles(subtitles, spec = {}) {
+  let result = subtitles;
+
+  if (spec.framerate) {
+    result = convertFramerate(result, spec.framerate[0], spec.framerate[1]);
+  }
+  if (spec.map) {
+    const [[from1, to1], [from2, to2]] = spec.map;
+    result = stretchSubtitles(result, [from1, from2], [to1, to2]);
+  }
+  if (spec.shift) {
+    result = shiftSubtitles(result, spec.shift);
+  }
+
+  return result;
+}
+
+/**
+ * Parse a two-point mapping such as "00:01:00=00:01:02,00:40:00=00:40:05"
+ * The pairs are separated by ";", whitespace or a comma. A comma after a
+ * clock time's seconds is its milliseconds, as in "00:01:00,000=00:01:02,500",
+ * unless a clock time follows it.
+ * @param {string} value - Two "from=to" pairs
+ * @returns {Array} - [[from1, to1], [from2, to2]] in milliseconds
+ */
+function parseTimeMap(value) {
+  const pairs = value
+    .trim()
+    .split(/\s*;\s*|\s+|(?<!:\d\d),|,(?=\d+:)/)
+    .map((pair) => pair.split("="));
+
+  if (pairs.length !== 2 || pairs.some((pair) => pair.length !== 2)) {
+    throw new Error(
+      `Invalid mapping "${value}". Use "t1=t1';t2=t2'", e.g. "60s=62s;2400s=2405s".`
+    );
+  }
+
+  return pairs.map(([from, to]) => [parseTimeValue(from), parseTimeValue(to)]);
+}
+
+/**
+ * Parse a framerate conversion such as "25:23.976" or "pal:ntsc-film"
+ * @param {string} value - "from:to"
+ * @returns {Array} - [from, to] in frames per second
+ */
+function parseFramerateConversion(value) {
+  const parts = value.split(":");
+
+  if (parts.length !== 2) {
+    throw new Error(
+      `Invalid framerate conversion "${value}". Use "from:to", e.g. "25:23.976".`
+    );
+  }
+
+  return parts.map(parseFramerate);
+}
+
+module.exports = {
+  FRAMERATES,
+  parseTimeValue,
+  parseFramerate,
+  parseTimeMap,
+  parseFramerateConversion,
+  shiftSubtitles,
+  stretchSubtitles,
+  convertFramerate,
+  retimeSubtitles,
+};
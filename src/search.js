@@ -0,0 +1,189 @@
+/**
+ * Search across the subtitle files of a directory.
+ *
+ * Every cue becomes an entry with its file, number, timing and text. When
+ * an episode has files in other languages (paired by the batch filename
+ * pattern), each entry also holds the aligned text of those files, found as
+ * in paired mode. Entries can be saved to an index file, so a corpus is only
+ * read again when one of its files changes.
+ */
+
+const path = require("path");
+const { alignSubtitles } = require("./align");
+const { formatSRTTime } = require("./time");
+const { singleLine } = require("./normalize");
+const { matchesLanguage } = require("./language");
+
+// Name of the index file in the searched directory, and the version of its
+// layout; indexes of another version are rebuilt
+const SEARCH_INDEX_FILE = ".subtitles-index.json";
+const SEARCH_INDEX_VERSION = 2;
+
+// Terminal colour of the matched text
+const MATCH_COLOR = "\x1b[1;31m";
+const RESET_COLOR = "\x1b[0m";
+
+/**
+ * Build the search entries of one episode
+ * @param {Array} files - One { file, track } object per file of the episode,
+ *   where track is the parsed track of the file
+ * @returns {Array} - One { file, language, cues } object per file, where each
+ *   cue is { index, start, end, text, translations } and translations holds
+ *   { file, language, text } for every other file with an aligned line
+ */
+function buildSearchEntries(files) {
+  return files.map(({ file, track }) => {
+    const cues = track.subtitles.map((subtitle, i) => ({
+      index: i + 1,
+      start: subtitle.start,
+      end: subtitle.end,
+      text: subtitle.text,
+      translations: [],
+    }));
+    const position = new Map(
+      track.subtitles.map((subtitle, i) => [subtitle, i])
+    );
+
+    files.forEach((sibling) => {
+      if (sibling.file === file) return;
+
+      alignSubtitles(track.subtitles, sibling.track.subtitles).forEach(
+        (group) => {
+          if (!group.subtitles2.length) return;
+
+          group.subtitles1.forEach((subtitle) => {
+            cues[position.get(subtitle)].translations.push({
+              file: path.basename(sibling.file),
+              language: sibling.track.language,
+              text: group.text2,
+            });
+          });
+        }
+      );
+    });
+
+    return { file, language: track.language, cues };
+  });
+}
+
+/**
+ * Build the expression a search looks for
+ * @param {string} query - Plain text, or a regular expression when options.regex is set
+ * @param {Object} [options] - Search options
+ * @param {boolean} [options.regex] - Treat the query as a regular expression
+ * @param {boolean} [options.ignoreCase] - Ignore case
+ * @returns {RegExp} - A global expression
+ */
+function createSearchExpression(query, options = {}) {
+  if (!query) {
+    throw new Error("The search query is empty.");
+  }
+
+  const source = options.regex
+    ? query
+    : query.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+  return new RegExp(source, `gu${options.ignoreCase ? "i" : ""}`);
+}
+
+/**
+ * Find the cues whose text matches an expression
+ * The lines of a cue are searched as one line, so a phrase is found even
+ * when it was broken over two lines.
+ * @param {Array} entries - Entries from buildSearchEntries
+ * @param {RegExp} expression - Expression from createSearchExpression
+ * @param {Object} [options] - Search options
+ * @param {string} [options.language] - Only search files in this language range, e.g. "zh"
+ * @returns {Array} - Matches { file, language, index, start, end, text, translations },
+ *   with text on one line
+ */
+function searchEntries(entries, expression, options = {}) {
+  const matches = [];
+
+  entries.forEach((entry) => {
+    if (
+      options.language &&
+      !matchesLanguage(entry.language, options.language)
+    ) {
+      return;
+    }
+
+    entry.cues.forEach((cue) => {
+      const text = singleLine(cue.text);
+      expression.lastIndex = 0;
+      if (!expression.test(text)) return;
+
+      matches.push({
+        file: entry.file,
+        language: entry.language,
+        index: cue.index,
+        start: cue.start,
+        end: cue.end,
+        text,
+        translations: cue.translations.map((translation) => ({
+          ...translation,
+          text: singleLine(translation.text),
+        })),
+      });
+    });
+  });
+
+  return matches;
+}
+
+/**
+ * Format search matches for the terminal
+ * Each match is a line with the file, cue number, start time and text,
+ * followed by an indented line per aligned translation.
+ * @param {Array} matches - Matches from searchEntries
+ * @param {Object} [options] - Format options
+ * @param {RegExp} [options.highlight] - Colour the text this expression matches
+ * @returns {string} - The lines
+ */
+function formatSearchMatches(matches, options = {}) {
+  const highlight = (text) =>
+    options.highlight
+      ? text.replace(
+          options.highlight,
+          (found) => `${MATCH_COLOR}${found}${RESET_COLOR}`
+        )
+      : text;
+
+  return matches
+    .map((match) => {
+      const lines = [
+        `${match.file}:${match.index} ${formatSRTTime(match.start)} ${highlight(
+          match.text
+        )}`,
+      ];
+      match.translations.forEach((translation) => {
+        lines.push(
+          `    ${translation.language || translation.file}: ${translation.text}`
+        );
+      });
+      return lines.join("\n");
+    })
+    .join("\n");
+}
+
+/**
+ * Format the counts of a search
+ * @param {Array} matches - Matches from searchEntries
+ * @param {number} searched - Number of files searched
+ * @returns {string} - e.g. "12 matches in 3 of 40 files"
+ */
+function formatSearchSummary(matches, searched) {
+  const files = new Set(matches.map((match) => match.file)).size;
+  return `${matches.length} ${
+    matches.length === 1 ? "match" : "matches"
+  } in ${files} of ${searched} files`;
+}
+
+module.exports = {
+  SEARCH_INDEX_FILE,
+  SEARCH_INDEX_VERSION,
+  buildSearchEntries,
+  createSearchExpression,
+  searchEntries,
+  formatSearchMatches,
+  formatSearchSummary,
+};
@@ -0,0 +1,148 @@
+/**
+ * Study export: aligned lines of two languages as CSV or TSV rows.
+ *
+ * Every pair found by the paired-mode alignment becomes a row with its
+ * episode, pair number, timing, source text and translation. The table can
+ * be imported into a spreadsheet or, with the Anki header, straight into an
+ * Anki deck as one note per row.
+ */
+
+const { alignSubtitles } = require("./align");
+const { formatVTTTime } = require("./vtt");
+const { singleLine } = require("./normalize");
+
+const STUDY_COLUMNS = [
+  "episode",
+  "index",
+  "start",
+  "end",
+  "source",
+  "translation",
+];
+
+const STUDY_FORMATS = {
+  csv: { separator: ",", anki: "Comma" },
+  tsv: { separator: "\t", anki: "Tab" },
+};
+
+/**
+ * Build the study rows of one episode from its paired alignment
+ * Cues without a counterpart in the other language are left out.
+ * @param {Object} document - A document with the source and translation tracks, in that order
+ * @param {string} episode - Name of the episode
+ * @returns {Array} - Rows { episode, index, start, end, source, translation }, numbered by pair
+ */
+function buildStudyRows(document, episode) {
+  const [source, translation] = document.tracks;
+
+  return alignSubtitles(source.subtitles, translation.subtitles)
+    .filter((group) => group.subtitles1.length && group.subtitles2.length)
+    .map((group, i) => ({
+      episode,
+      index: i + 1,
+      start: group.start,
+      end: group.end,
+      source: singleLine(group.text1),
+      translation: singleLine(group.text2),
+    }));
+}
+
+/**
+ * Reduce text to what tells two lines apart: letters and digits, lower case
+ * @param {string} text - The text
+ * @returns {string} - The key
+ */
+function letters(text) {
+  return (text.match(/[\p{L}\p{N}]/gu) || []).join("").toLowerCase();
+}
+
+/**
+ * Filter study rows
+ * @param {Array} rows - Rows from buildStudyRows
+ * @param {Object} [options] - Filter options
+ * @param {boolean} [options.dedupe] - Keep only the first row of each source line
+ *   (ignoring case, spaces and punctuation)
+ * @param {number} [options.minLength] - Leave out rows whose source has fewer letters or digits
+ * @returns {Array} - The remaining rows
+ */
+function filterStudyRows(rows, options = {}) {
+  const seen = new Set();
+
+  return rows.filter((row) => {
+    const key = letters(row.source);
+    if (options.minLength && [...key].length < options.minLength) {
+      return false;
+    }
+    if (options.dedupe) {
+      if (seen.has(key)) return false;
+      seen.add(key);
+    }
+    return true;
+  });
+}
+
+/**
+ * Quote a CSV field when it holds a separator, quote or line break
+ * @param {string} value - The field
+ * @returns {string} - The field as written
+ */
+function csvField(value) {
+  return /[",\r\n]/.test(value) ? `"${value.replace(/"/g, '""')}"` : value;
+}
+
+/**
+ * Write study rows as a CSV or TSV table
+ * @param {Array} rows - Rows from buildStudyRows
+ * @param {Object} [options] - Table options
+ * @param {string} [options.format] - "csv" or "tsv" (default: "tsv")
+ * @param {boolean} [options.header] - Start with a row of column names (default: true)
+ * @param {boolean} [options.anki] - Start with Anki's file headers instead, so
+ *   Anki picks the separator and column names up on import
+ * @returns {string} - The table
+ */
+function formatStudyTable(rows, options = {}) {
+  const { format = "tsv", header = true, anki = false } = options;
+  const table = STUDY_FORMATS[format];
+  if (!table) {
+    throw new Error(
+      `Invalid study format "${format}". Use ${Object.keys(STUDY_FORMATS).join(
+        " or "
+      )}.`
+    );
+  }
+
+  const field =
+    format === "csv"
+      ? (value) => csvField(String(value))
+      : (value) => String(value).replace(/[\t\r\n]+/g, " ");
+  const line = (values) => values.map(field).join(table.separator);
+
+  let content = "";
+  if (anki) {
+    content += `#separator:${table.anki}\n#html:false\n`;
+    content += `#columns:${line(STUDY_COLUMNS)}\n`;
+  } else if (header) {
+    content += `${line(STUDY_COLUMNS)}\n`;
+  }
+
+  rows.forEach((row) => {
+    content += `${line([
+      row.episode,
+      row.index,
+      formatVTTTime(row.start),
+      formatVTTTime(row.end),
+      row.source,
+      row.translation,
+    ])}\n`;
+  });
+
+  return content;
+}
+
+module.exports = {
+  STUDY_COLUMNS,
+  STUDY_FORMATS,
+  buildStudyRows,
+  filterStudyRows,
+  formatStudyTable,
+};
@@ -0,0 +1,228 @@
+/**
+ * Inline text styles of subtitles: italic, bold and colour.
+ *
+ * A subtitle's text is always plain. When parts of it are styled, the
+ * subtitle also has `spans`, the same text cut into runs that share a style:
+ *
+ *   [{ text: "Who's there?\n" }, { text: "Me.", italic: true, color: "yellow" }]
+ *
+ * Subtitles without any styling have no spans. SRT output writes the spans
+ * as <i>, <b> and <font color> tags.
+ */
+
+const STYLE_KEYS = ["italic", "bold", "color"];
+
+/**
+ * Keep only the style properties that are set
+ * @param {Object} style - Object with optional italic, bold and color
+ * @returns {Object} - The style without unset properties
+ */
+function cleanStyle(style) {
+  const clean = {};
+  STYLE_KEYS.forEach((key) => {
+    if (style[key]) clean[key] = style[key];
+  });
+  return clean;
+}
+
+/**
+ * Check whether two styles are the same
+ * @param {Object} a - A style
+ * @param {Object} b - Another style
+ * @returns {boolean} - Whether italic, bold and colour match
+ */
+function sameStyle(a, b) {
+  return STYLE_KEYS.every((key) => (a[key] || false) === (b[key] || false));
+}
+
+/**
+ * Build spans from styled pieces of text, joining neighbours with the same style
+ * @param {Array} pieces - Array of { text, ...style } objects
+ * @returns {Array|undefined} - The spans, or undefined when nothing is styled
+ */
+function buildSpans(pieces) {
+  const spans = [];
+
+  pieces.forEach((piece) => {
+    if (!piece.text) return;
+
+    const style = cleanStyle(piece);
+    const last = spans[spans.length - 1];
+    if (last && sameStyle(last, style)) {
+      last.text += piece.text;
+    } else {
+      spans.push({ text: piece.text, ...style });
+    }
+  });
+
+  return spans.some((span) => Object.keys(span).length > 1) ? spans : undefined;
+}
+
+/**
+ * Style the new text of one or more cues like the text they were made from
+ * Visible characters take the styles of the original visible characters in
+ * order, so rewrapping, splitting and joining keep italics and colours.
+ * Whitespace is only styled when the characters on both sides share a style.
+ * @param {Array|undefined} spans - Spans of the original text, if styled
+ * @param {Array} texts - The new texts, in the order of the original text
+ * @returns {Array} - Spans (or undefined) for each new text
+ */
+function restyleText(spans, texts) {
+  if (!spans) return texts.map(() => undefined);
+
+  const styles = [];
+  spans.forEach((span) => {
+    [...span.text].forEach((character) => {
+      if (/\S/.test(character)) styles.push(cleanStyle(span));
+    });
+  });
+
+  let next = 0;
+  return texts.map((text) => {
+    const pieces = [...text].map((character) => ({
+      text: character,
+      ...(/\S/.test(character) ? styles[next++] : undefined),
+    }));
+
+    pieces.forEach((piece, i) => {
+      if (/\S/.test(piece.text)) return;
+
+      const before = pieces.slice(0, i).reverse();
+      const previous = before.find((other) => /\S/.test(other.text));
+      const following = pieces
+        .slice(i + 1)
+        .find((other) => /\S/.test(other.text));
+      if (previous && following && sameStyle(previous, following)) {
+        Object.assign(piece, cleanStyle(previous));
+      }
+    });
+    return buildSpans(pieces);
+  });
+}
+
+/**
+ * Join the spans of several cues, as their texts are joined
+ * @param {Array} subtitles - Subtitles that may have spans
+ * @param {string} separator - Text placed between them, e.g. "\n"
+ * @returns {Array|undefined} - The joined spans, or undefined when nothing is styled
+ */
+function joinSpans(subtitles, separator) {
+  if (!subtitles.some((subtitle) => subtitle.spans)) return undefined;
+
+  return buildSpans(
+    subtitles.flatMap((subtitle, i) => [
+      ...(i > 0 ? [{ text: separator }] : []),
+      ...(subtitle.spans || [{ text: subtitle.text }]),
+    ])
+  );
+}
+
+/**
+ * Remove every match of a pattern from text, keeping the styles of the rest
+ * @param {string} text - The plain text
+ * @param {Array|undefined} spans - Spans of the text, if styled
+ * @param {RegExp} pattern - A global pattern
+ * @returns {Object} - { text, spans } without the matches
+ */
+function removeText(text, spans, pattern) {
+  const removed = new Array(text.length).fill(false);
+  for (const match of text.matchAll(pattern)) {
+    removed.fill(true, match.index, match.index + match[0].length);
+  }
+
+  const styles = spans
+    ? spans.flatMap((span) => new Array(span.text.length).fill(span))
+    : [];
+  const pieces = [...text.split("").entries()]
+    .filter(([i]) => !removed[i])
+    .map(([i, unit]) => ({ ...cleanStyle(styles[i] || {}), text: unit }));
+
+  return {
+    text: pieces.map((piece) => piece.text).join(""),
+    spans: spans && buildSpans(pieces),
+  };
+}
+
+/**
+ * Write spans as SRT text with <i>, <b> and <font color> tags
+ * Tags are closed at the end of each line, since players differ in whether
+ * they carry them over a line break.
+ * @param {Array} spans - The spans of a subtitle
+ * @returns {string} - The marked-up text
+ */
+function formatSRTMarkup(spans) {
+  return spans
+    .map((span) =>
+      span.text
+        .split("\n")
+        .map((line) => {
+          if (!line) return line;
+
+          let text = line;
+          if (span.italic) text = `<i>${text}</i>`;
+          if (span.bold) text = `<b>${text}</b>`;
+          if (span.color) text = `<font color="${span.color}">${text}</font>`;
+          return text;
+        })
+        .join("\n")
+    )
+    .join("");
+}
+
+/**
+ * Read the <i>, <b> and <font color> tags of SRT text into spans
+ * Other tags are dropped.
+ * @param {string} text - The SRT text, without {\...} override tags
+ * @returns {Object} - { text, spans } where text has no tags
+ */
+function parseSRTMarkup(text) {
+  const pieces = [];
+  const stack = [{}];
+
+  // Odd parts are the tags between pieces of text
+  text.split(/(<[^>]+>)/).forEach((part, i) => {
+    if (i % 2 === 0) {
+      pieces.push({ text: part, ...stack[stack.length - 1] });
+      return;
+    }
+
+    const tag = part.match(/^<(\/?)([a-z]+)([^>]*)>$/i);
+    if (!tag) return;
+
+    const [, closing, name, attributes] = tag;
+    const style = { ...stack[stack.length - 1] };
+    const tagName = name.toLowerCase();
+
+    if (closing) {
+      if (stack.length > 1 && ["i", "b", "font"].includes(tagName)) {
+        stack.pop();
+      }
+      return;
+    }
+    if (tagName === "i") {
+      style.italic = true;
+    } else if (tagName === "b") {
+      style.bold = true;
+    } else if (tagName === "font") {
+      const color = attributes.match(/color\s*=\s*["']?([^"'\s>]+)/i);
+      if (color) style.color = color[1];
+    } else {
+      return;
+    }
+    stack.push(style);
+  });
+
+  return {
+    text: pieces.map((piece) => piece.text).join(""),
+    spans: buildSpans(pieces),
+  };
+}
+
+module.exports = {
+  buildSpans,
+  restyleText,
+  joinSpans,
+  removeText,
+  formatSRTMarkup,
+  parseSRTMarkup,
+};
@@ -0,0 +1,229 @@
+/**
+ * Automatic synchronisation of one subtitle track to another.
+ *
+ * The target track's timing is modelled as reference = scale * target + offset.
+ * A coarse estimate comes from voting over start-time differences of cues with
+ * similar durations, trying the usual framerate ratios for the scale. The
+ * estimate is then refined by aligning the tracks (as paired mode does) and
+ * fitting a line through the confidently matched anchor pairs.
+ */
+
+const { alignSubtitles } = require("./align");
+const { retimeSubtitles } = require("./retime");
+
+const DEFAULT_SYNC_OPTIONS = {
+  // Largest offset (ms) searched by the coarse estimate
+  maxOffset: 120000,
+  // Width (ms) of the offset histogram bins
+  binSize: 100,
+  // Drift ratios tried by the coarse estimate (23.976/24/25/29.97 fps pairs)
+  scales: [
+    1,
+    25 / (24000 / 1001),
+    24000 / 1001 / 25,
+    24 / (24000 / 1001),
+    24000 / 1001 / 24,
+    25 / 24,
+    24 / 25,
+    30 / (30000 / 1001),
+    30000 / 1001 / 30,
+  ],
+  // Minimum alignment confidence for a matched pair to be used as an anchor
+  minConfidence: 0.5,
+  // Fewest anchors needed to trust the fit
+  minAnchors: 5,
+};
+
+/**
+ * Estimate the offset for a given scale by voting over start differences
+ * @param {Array} reference - Reference cues, sorted by start
+ * @param {Array} target - Target cues, sorted by start
+ * @param {number} scale - The drift ratio to test
+ * @param {Object} options - Sync options
+ * @returns {Object} - { offset, votes }
+ */
+function voteOffset(reference, target, scale, options) {
+  const { maxOffset, binSize } = options;
+  const bins = new Map();
+  const sums = new Map();
+  let low = 0;
+
+  target.forEach((cue) => {
+    const start = cue.start * scale;
+    const duration = (cue.end - cue.start) * scale;
+
+    while (low < reference.length && reference[low].start < start - maxOffset) {
+      low++;
+    }
+
+    for (let i = low; i < reference.length; i++) {
+      const candidate = reference[i];
+      if (candidate.start > start + maxOffset) break;
+
+      // Cues that belong together tend to have similar durations
+      const candidateDuration = candidate.end - candidate.start;
+      const similarity =
+        Math.min(duration, candidateDuration) /
+        Math.max(duration, candidateDuration, 1);
+      if (similarity < 0.5) continue;
+
+      const difference = candidate.start - start;
+      const bin = Math.round(difference / binSize);
+      bins.set(bin, (bins.get(bin) || 0) + similarity);
+      sums.set(bin, (sums.get(bin) || 0) + difference * similarity);
+    }
+  });
+
+  // Pick the strongest bin together with its neighbours
+  let best = { offset: 0, votes: 0 };
+  bins.forEach((_, bin) => {
+    let votes = 0;
+    let sum = 0;
+    for (let b = bin - 1; b <= bin + 1; b++) {
+      votes += bins.get(b) || 0;
+      sum += sums.get(b) || 0;
+    }
+    if (votes > best.votes) {
+      best = { offset: sum / votes, votes };
+    }
+  });
+
+  return best;
+}
+
+/**
+ * Fit reference = scale * target + offset through anchor pairs
+ * Anchors far from the line are dropped and the fit is repeated.
+ * @param {Array} anchors - Array of { target, reference } times in milliseconds
+ * @returns {Object} - { scale, offset, anchors, residual } with residual as RMS in ms
+ */
+function fitLine(anchors) {
+  let points = anchors;
+  let fit = null;
+
+  for (let round = 0; round < 3; round++) {
+    const n = points.length;
+    const meanX = points.reduce((sum, p) => sum + p.target, 0) / n;
+    const meanY = points.reduce((sum, p) => sum + p.reference, 0) / n;
+    let sxx = 0;
+    let sxy = 0;
+    points.forEach((p) => {
+      sxx += (p.target - meanX) ** 2;
+      sxy += (p.target - meanX) * (p.reference - meanY);
+    });
+
+    const scale = sxx > 0 ? sxy / sxx : 1;
+    const offset = meanY - scale * meanX;
+    const residuals = points.map((p) =>
+      Math.abs(p.reference - (scale * p.target + offset))
+    );
+    const residual = Math.sqrt(
+      residuals.reduce((sum, r) => sum + r * r, 0) / n
+    );
+    fit = { scale, offset, anchors: n, residual };
+
+    const limit = Math.max(3 * residual, 100);
+    const kept = points.filter((_, i) => residuals[i] <= limit);
+    if (kept.length === n || kept.length < 2) break;
+    points = kept;
+  }
+
+  return fit;
+}
+
+/**
+ * Estimate how a target track must be retimed to match a reference track
+ * @param {Array} reference - Subtitles of the reference track
+ * @param {Array} target - Subtitles of the track to synchronise
+ * @param {Object} [options] - Overrides for DEFAULT_SYNC_OPTIONS
+ * @returns {Object} - { offset (ms), scale, anchors, residual (ms) }
+ */
+function estimateSync(reference, target, options = {}) {
+  const settings = { ...DEFAULT_SYNC_OPTIONS, ...options };
+  const sortedReference = [...reference].sort((a, b) => a.start - b.start);
+  const sortedTarget = [...target].sort((a, b) => a.start - b.start);
+
+  // Coarse estimate: the scale whose best offset collects the most votes
+  let coarse = { scale: 1, offset: 0, votes: 0 };
+  settings.scales.forEach((scale) => {
+    const { offset, votes } = voteOffset(
+      sortedReference,
+      sortedTarget,
+      scale,
+      settings
+    );
+    if (votes > coarse.votes) {
+      coarse = { scale, offset, votes };
+    }
+  });
+
+  // Refine: align with the coarse correction applied and fit the anchors
+  const corrected = applySync(sortedTarget, coarse);
+  const anchors = [];
+  alignSubtitles(sortedReference, corrected).forEach((group) => {
+    if (
+      group.subtitles1.length === 1 &&
+      group.subtitles2.length === 1 &&
+      group.confidence >= settings.minConfidence
+    ) {
+      anchors.push({
+        target: (group.subtitles2[0].start - coarse.offset) / coarse.scale,
+        reference: group.subtitles1[0].start,
+      });
+    }
+  });
+
+  if (anchors.length < settings.minAnchors) {
+    throw new Error(
+      `Could not synchronise the tracks: only ${anchors.length} matching subtitles found`
+    );
+  }
+
+  return fitLine(anchors);
+}
+
+/**
+ * Express an estimated synchronisation as a retiming specification
+ * @param {Object} sync - { offset, scale } from estimateSync
+ * @returns {Object} - A two-point mapping for retimeSubtitles
+ */
+function toRetimeSpec(sync) {
+  return {
+    map: [
+      [0, sync.offset],
+      [3600000, sync.offset + sync.scale * 3600000],
+    ],
+  };
+}
+
+/**
+ * Retime subtitles with an estimated synchronisation
+ * @param {Array} subtitles - Array of subtitle objects
+ * @param {Object} sync - { offset, scale } from estimateSync
+ * @returns {Array} - Retimed subtitle objects
+ */
+function applySync(subtitles, sync) {
+  return retimeSubtitles(subtitles, toRetimeSpec(sync));
+}
+
+/**
+ * Describe an estimated synchronisation for humans
+ * @param {Object} sync - Result of estimateSync
+ * @returns {string} - e.g. "offset +3.000 s, scale 1.000000 (506 anchors, residual 62 ms)"
+ */
+function describeSync(sync) {
+  const seconds = sync.offset / 1000;
+  return `offset ${seconds >= 0 ? "+" : ""}${seconds.toFixed(
+    3
+  )} s, scale ${sync.scale.toFixed(6)} (${
+    sync.anchors
+  } anchors, residual ${Math.round(sync.residual)} ms)`;
+}
+
+module.exports = {
+  DEFAULT_SYNC_OPTIONS,
+  estimateSync,
+  applySync,
+  toRetimeSpec,
+  describeSync,
+};
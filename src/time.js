@@ -0,0 +1,171 @@
+/**
+ * TTML time expression handling.
+ *
+ * Every supported time expression is resolved to absolute milliseconds, which
+ * is the canonical time value carried on subtitle objects and used by all
+ * writers.
+ */
+
+const CLOCK_TIME =
+  /^(\d{2,}):(\d{2}):(\d{2})(?:(\.\d+)|:(\d{2,})(?:\.(\d+))?)?$/;
+const OFFSET_TIME = /^(\d+(?:\.\d+)?)(h|ms|m|s|f|t)$/;
+
+/**
+ * Parse a TTML frameRateMultiplier value (e.g. "1000 1001")
+ * @param {string} value - The attribute value
+ * @returns {number} - The multiplier as a number
+ */
+function parseFrameRateMultiplier(value) {
+  if (!value) return 1;
+
+  const [numerator, denominator] = value.trim().split(/\s+/).map(Number);
+  if (!numerator || !denominator) {
+    throw new Error(`Invalid ttp:frameRateMultiplier "${value}"`);
+  }
+
+  return numerator / denominator;
+}
+
+/**
+ * Read the timing parameters declared on the <tt> element
+ * @param {Object} attributes - Attributes of the <tt> element
+ * @returns {Object} - Effective frame rate, sub-frame rate and tick rate
+ */
+function getTimingParameters(attributes = {}) {
+  const hasFrameRate = attributes["ttp:frameRate"] !== undefined;
+  const frameRate = hasFrameRate ? Number(attributes["ttp:frameRate"]) : 30;
+  const frameRateMultiplier = parseFrameRateMultiplier(
+    attributes["ttp:frameRateMultiplier"]
+  );
+  const subFrameRate =
+    attributes["ttp:subFrameRate"] !== undefined
+      ? Number(attributes["ttp:subFrameRate"])
+      : 1;
+  const effectiveFrameRate = frameRate * frameRateMultiplier;
+
+  // Per TTML, the default tick rate derives from the frame rate when one is
+  // declared and is 1 otherwise
+  let tickRate;
+  if (attributes["ttp:tickRate"] !== undefined) {
+    tickRate = Number(attributes["ttp:tickRate"]);
+  } else {
+    tickRate = hasFrameRate ? Math.ceil(effectiveFrameRate * subFrameRate) : 1;
+  }
+
+  if (!(effectiveFrameRate > 0) || !(subFrameRate > 0) || !(tickRate > 0)) {
+    throw new Error("Invalid TTML timing parameters on <tt>");
+  }
+
+  return { frameRate: effectiveFrameRate, subFrameRate, tickRate };
+}
+
+/**
+ * Convert a TTML time expression to milliseconds
+ * Supports clock times ("00:01:02.345", "00:01:02:12", "00:01:02:12.1") and
+ * offset times ("12.5s", "300ms", "1.5h", "2m", "90f", "140140000t").
+ * @param {string} expression - The time expression
+ * @param {Object} params - Timing parameters from getTimingParameters
+ * @returns {number} - The time in milliseconds
+ */
+function parseTimeExpression(expression, params = getTimingParameters()) {
+  const value = String(expression).trim();
+
+  const clock = value.match(CLOCK_TIME);
+  if (clock) {
+    const [, hours, minutes, seconds, fraction, frames, subFrames] = clock;
+    let total = Number(hours) * 3600 + Number(minutes) * 60 + Number(seconds);
+
+    if (fraction) {
+      total += Number(fraction);
+    }
+    if (frames) {
+      total += Number(frames) / params.frameRate;
+    }
+    if (subFrames) {
+      total += Number(subFrames) / params.subFrameRate / params.frameRate;
+    }
+
+    return total * 1000;
+  }
+
+  const offset = value.match(OFFSET_TIME);
+  if (offset) {
+    const count = Number(offset[1]);
+
+    switch (offset[2]) {
+      case "h":
+        return count * 3600000;
+      case "m":
+        return count * 60000;
+      case "s":
+        return count * 1000;
+      case "ms":
+        return count;
+      case "f":
+        return (count * 1000) / params.frameRate;
+      case "t":
+        return (count * 1000) / params.tickRate;
+    }
+  }
+
+  throw new Error(`Invalid TTML time expression "${expression}"`);
+}
+
+/**
+ * Resolve the begin and end of a timed element against its parent
+ * TTML elements are parallel time containers by default, so begin and end are
+ * offsets from the parent's begin, and an element never outlives its parent.
+ * @param {Object} attributes - Attributes of the element (begin, end, dur)
+ * @param {Object} parent - Resolved interval of the parent ({ begin, end })
+ * @param {Object} params - Timing parameters from getTimingParameters
+ * @returns {Object} - Resolved interval in milliseconds ({ begin, end })
+ */
+function resolveInterval(attributes, parent, params) {
+  const begin =
+    parent.begin +
+    (attributes.begin !== undefined
+      ? parseTimeExpression(attributes.begin, params)
+      : 0);
+
+  let end = Infinity;
+  if (attributes.end !== undefined) {
+    end = parent.begin + parseTimeExpression(attributes.end, params);
+  }
+  if (attributes.dur !== undefined) {
+    end = Math.min(end, begin + parseTimeExpression(attributes.dur, params));
+  }
+  if (end === Infinity) {
+    end = parent.end;
+  }
+
+  return { begin, end: Math.min(end, parent.end) };
+}
+
+/**
+ * Format milliseconds as an SRT timestamp (HH:MM:SS,mmm)
+ * @param {number} milliseconds - Time in milliseconds
+ * @returns {string} - Time in SRT format (e.g., "00:00:14,014")
+ */
+function formatSRTTime(milliseconds) {
+  const total = Math.max(0, Math.round(milliseconds));
+
+  // Calculate hours, minutes, seconds, and milliseconds
+  const hours = Math.floor(total / 3600000);
+  const minutes = Math.floor((total % 3600000) / 60000);
+  const seconds = Math.floor((total % 60000) / 1000);
+  const ms = total % 1000;
+
+  // Format the time string
+  return `${hours.toString().padStart(2, "0")}:${minutes
+    .toString()
+    .padStart(2, "0")}:${seconds.toString().padStart(2, "0")},${ms
+    .toString()
+    .padStart(3, "0")}`;
+}
+
+module.exports = {
+  getTimingParameters,
+  parseTimeExpression,
+  resolveInterval,
+  formatSRTTime,
+};
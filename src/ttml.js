@@ -0,0 +1,635 @@
+const { XMLParser, XMLBuilder } = require("fast-xml-parser");
+const {
+  getTimingParameters,
+  resolveInterval,
+  formatSRTTime,
+} = require("./time");
+const { normalizeLanguage } = require("./language");
+const { buildSpans } = require("./styles");
+
+// Configure XML parser
+// preserveOrder keeps text, <span> and <br/> in document order so mixed
+// content can be flattened without losing line breaks.
+const parser = new XMLParser({
+  ignoreAttributes: false,
+  attributeNamePrefix: "@_",
+  preserveOrder: true,
+  trimValues: false,
+  parseTagValue: false,
+  htmlEntities: true,
+});
+
+// Builds header elements read by the parser back into XML
+const builder = new XMLBuilder({
+  ignoreAttributes: false,
+  attributeNamePrefix: "@_",
+  preserveOrder: true,
+  suppressEmptyNode: true,
+});
+
+// Namespaces every written file declares, and the profile it conforms to
+const TTML_NAMESPACES = {
+  xmlns: "http://www.w3.org/ns/ttml",
+  "xmlns:ttp": "http://www.w3.org/ns/ttml#parameter",
+  "xmlns:tts": "http://www.w3.org/ns/ttml#styling",
+  "xmlns:ttm": "http://www.w3.org/ns/ttml#metadata",
+};
+const IMSC_TEXT_PROFILE = "http://www.w3.org/ns/ttml/profile/imsc1.1/text";
+
+// Tick rate of written files whose source declares none
+const DEFAULT_TICK_RATE = 10000000;
+
+// Area of the regions written for each on-screen placement
+const TTML_REGION_AREAS = {
+  top: { origin: "10% 10%", extent: "80% 40%", displayAlign: "before" },
+  middle: { origin: "10% 30%", extent: "80% 40%", displayAlign: "center" },
+  bottom: { origin: "10% 50%", extent: "80% 40%", displayAlign: "after" },
+};
+
+/**
+ * Get the local name of a tag, dropping any namespace prefix (e.g. "tt:p" -> "p")
+ * @param {string} name - The qualified tag name
+ * @returns {string} - The local tag name
+ */
+function localName(name) {
+  const colon = name.indexOf(":");
+  return colon === -1 ? name : name.slice(colon + 1);
+}
+
+/**
+ * Get the tag name of a node produced by the parser in preserveOrder mode
+ * @param {Object} node - A parsed node
+ * @returns {string|null} - The tag name, "#text" for text nodes, or null
+ */
+function nodeName(node) {
+  return Object.keys(node).find((key) => key !== ":@") || null;
+}
+
+/**
+ * Get the attributes of a parsed node, without the attribute prefix
+ * @param {Object} node - A parsed node
+ * @returns {Object} - Map of attribute name to value
+ */
+function nodeAttributes(node) {
+  const attributes = {};
+  const raw = node[":@"] || {};
+
+  Object.keys(raw).forEach((key) => {
+    attributes[key.replace(/^@_/, "")] = raw[key];
+  });
+
+  return attributes;
+}
+
+/**
+ * Find the first child element with the given local name
+ * @param {Array} children - The child nodes to search
+ * @param {string} name - The local name to look for
+ * @returns {Object|null} - The matching node, or null
+ */
+function findChild(children, name) {
+  return (
+    (children || []).find((child) => {
+      const tag = nodeName(child);
+      return tag && tag !== "#text" && localName(tag) === name;
+    }) || null
+  );
+}
+
+/**
+ * Convert a TTML colour to a colour SRT players understand
+ * @param {string} value - A name, #RRGGBB, #RRGGBBAA, rgb() or rgba() colour
+ * @returns {string} - The colour name or #rrggbb value
+ */
+function normalizeColor(value) {
+  const color = value.trim().toLowerCase();
+
+  const rgb = color.match(/^rgba?\(\s*(\d+)\s*,\s*(\d+)\s*,\s*(\d+)/);
+  if (rgb) {
+    return `#${rgb
+      .slice(1, 4)
+      .map((channel) => Number(channel).toString(16).padStart(2, "0"))
+      .join("")}`;
+  }
+  if (/^#[0-9a-f]{8}$/.test(color)) {
+    return color.slice(0, 7);
+  }
+  return color;
+}
+
+/**
+ * Read the style properties an element sets, through its referenced styles
+ * and its own tts: attributes (which win)
+ * @param {Object} attributes - Attributes of the element
+ * @param {Object} styles - Map of style id to resolved properties
+ * @returns {Object} - The properties set: italic, bold, color and displayAlign
+ */
+function styleProperties(attributes, styles = {}) {
+  const properties = {};
+
+  (attributes.style || "")
+    .split(/\s+/)
+    .filter((id) => styles[id])
+    .forEach((id) => Object.assign(properties, styles[id]));
+
+  const fontStyle = attributes["tts:fontStyle"];
+  if (fontStyle) properties.italic = fontStyle !== "normal";
+  const fontWeight = attributes["tts:fontWeight"];
+  if (fontWeight) properties.bold = fontWeight === "bold";
+  if (attributes["tts:color"]) {
+    properties.color = normalizeColor(attributes["tts:color"]);
+  }
+  if (attributes["tts:displayAlign"]) {
+    properties.displayAlign = attributes["tts:displayAlign"];
+  }
+
+  return properties;
+}
+
+/**
+ * Read the styles declared in <head>/<styling>
+ * Styles that reference other styles are resolved, so every entry holds all
+ * the properties it sets.
+ * @param {Object} tt - The <tt> node
+ * @returns {Object} - { initial, styles }: the initial values (italic, bold,
+ *   color, displayAlign) and a map of style id to properties
+ */
+function extractStyles(tt) {
+  const initial = {
+    italic: false,
+    bold: false,
+    color: "white",
+    displayAlign: "after",
+  };
+  const styles = {};
+  const head = findChild(tt[nodeName(tt)], "head");
+  const styling = head && findChild(head[nodeName(head)], "styling");
+  if (!styling) return { initial, styles };
+
+  const declared = {};
+  styling[nodeName(styling)].forEach((child) => {
+    const tag = nodeName(child);
+    if (!tag || tag === "#text") return;
+
+    const attributes = nodeAttributes(child);
+    if (localName(tag) === "initial") {
+      Object.assign(initial, styleProperties(attributes));
+    } else if (localName(tag) === "style" && attributes["xml:id"]) {
+      declared[attributes["xml:id"]] = attributes;
+    }
+  });
+
+  // Resolve style references depth first, ignoring cycles
+  const resolve = (id, seen) => {
+    if (!styles[id] && !seen.includes(id)) {
+      const attributes = declared[id];
+      (attributes.style || "")
+        .split(/\s+/)
+        .filter((ref) => declared[ref])
+        .forEach((ref) => resolve(ref, [...seen, id]));
+      styles[id] = styleProperties(attributes, styles);
+    }
+  };
+  Object.keys(declared).forEach((id) => resolve(id, []));
+
+  return { initial, styles };
+}
+
+/**
+ * Read the regions declared in <head>/<layout>
+ * A region's displayAlign comes from its own attributes or styles, then from
+ * <styling>/<initial>, and then the TTML default of "after".
+ * @param {Object} tt - The <tt> node
+ * @param {Object} [styling] - Styles from extractStyles
+ * @returns {Object} - Map of region id to { id, displayAlign, style }, where
+ *   style holds the text styles the region passes on to its content
+ */
+function extractRegions(tt, styling = extractStyles(tt)) {
+  const regions = {};
+  const head = findChild(tt[nodeName(tt)], "head");
+  if (!head) return regions;
+
+  const layout = findChild(head[nodeName(head)], "layout");
+  (layout ? layout[nodeName(layout)] : []).forEach((child) => {
+    const tag = nodeName(child);
+    if (!tag || localName(tag) !== "region") return;
+
+    const attributes = nodeAttributes(child);
+    const { displayAlign, ...style } = styleProperties(
+      attributes,
+      styling.styles
+    );
+    regions[attributes["xml:id"]] = {
+      id: attributes["xml:id"],
+      displayAlign: displayAlign || styling.initial.displayAlign,
+      style,
+    };
+  });
+
+  return regions;
+}
+
+/**
+ * Flatten the mixed content of a <p> (text, nested <span>s and <br/>s) to
+ * pieces of text with the style that applies to each
+ * @param {Array} children - The child nodes of the element
+ * @param {Object} style - Resolved style of the element
+ * @param {Object} styles - Map of style id to properties
+ * @param {Array} pieces - Accumulator for the pieces
+ * @returns {Array} - Array of { text, italic, bold, color } objects, with
+ *   <br/> converted to newlines
+ */
+function flattenContent(children, style, styles, pieces = []) {
+  (children || []).forEach((child) => {
+    const tag = nodeName(child);
+
+    if (tag === "#text") {
+      pieces.push({ ...style, text: child["#text"] });
+    } else if (tag && localName(tag) === "br") {
+      pieces.push({ ...style, text: "\n" });
+    } else if (tag) {
+      flattenContent(
+        child[tag],
+        { ...style, ...styleProperties(nodeAttributes(child), styles) },
+        styles,
+        pieces
+      );
+    }
+  });
+
+  return pieces;
+}
+
+/**
+ * Normalise whitespace the way TTML renders it by default: runs of
+ * whitespace collapse to a single space and lines are trimmed.
+ * Each character keeps the style of the piece it came from.
+ * @param {Array} pieces - Pieces from flattenContent
+ * @returns {Array} - Normalised pieces, one per character
+ */
+function normalizeText(pieces) {
+  const lines = [[]];
+  const breaks = [];
+  pieces.forEach((piece) => {
+    [...piece.text].forEach((character) => {
+      if (character === "\n") {
+        breaks.push({ ...piece, text: character });
+        lines.push([]);
+      } else {
+        lines[lines.length - 1].push({ ...piece, text: character });
+      }
+    });
+  });
+
+  return lines.flatMap((line, i) => {
+    const normalized = [];
+    line.forEach((piece) => {
+      const previous = normalized[normalized.length - 1];
+      if (!/[ \t\r\f]/.test(piece.text)) {
+        normalized.push(piece);
+      } else if (!previous || previous.text !== " ") {
+        normalized.push({ ...piece, text: " " });
+      }
+    });
+    while (normalized.length && /\s/.test(normalized[0].text)) {
+      normalized.shift();
+    }
+    while (
+      normalized.length &&
+      /\s/.test(normalized[normalized.length - 1].text)
+    ) {
+      normalized.pop();
+    }
+
+    return i > 0 ? [breaks[i - 1], ...normalized] : normalized;
+  });
+}
+
+/**
+ * Resolve the language of an element from its xml:lang or its parent's
+ * @param {Object} attributes - Attributes of the element
+ * @param {string} [inherited] - Language of the enclosing element
+ * @returns {string|undefined} - The canonical language tag
+ */
+function scopeLanguage(attributes, inherited) {
+  const value = attributes["xml:lang"];
+  if (value === undefined) return inherited;
+
+  // An empty xml:lang explicitly marks the language as unknown
+  if (!value.trim()) return undefined;
+  try {
+    return normalizeLanguage(value);
+  } catch (error) {
+    return inherited;
+  }
+}
+
+/**
+ * Collect every <p> under a <body> or <div>, in document order, together with
+ * its resolved timing, region, language and style. All four are inherited
+ * from enclosing <div>s.
+ * @param {Array} children - The child nodes to walk
+ * @param {Object} parent - Resolved interval, region, language and style of the enclosing element
+ * @param {Object} params - Timing parameters from getTimingParameters
+ * @param {Object} styles - Map of style id to properties
+ * @param {Array} paragraphs - Accumulator for the found paragraphs
+ * @returns {Array} - Array of { node, interval, region, language, style } objects
+ */
+function collectParagraphs(children, parent, params, styles, paragraphs = []) {
+  (children || []).forEach((child) => {
+    const tag = nodeName(child);
+    if (!tag || tag === "#text") return;
+
+    const name = localName(tag);
+    const attributes = nodeAttributes(child);
+    const interval = resolveInterval(attributes, parent, params);
+    const region = attributes.region || parent.region;
+    const language = scopeLanguage(attributes, parent.language);
+    const style = { ...parent.style, ...styleProperties(attributes, styles) };
+
+    if (name === "p") {
+      paragraphs.push({ node: child, interval, region, language, style });
+    } else if (name === "div") {
+      collectParagraphs(
+        child[tag],
+        { ...interval, region, language, style },
+        params,
+        styles,
+        paragraphs
+      );
+    }
+  });
+
+  return paragraphs;
+}
+
+/**
+ * Parse a TTML document
+ * @param {string} xmlContent - The XML content as a string
+ * @returns {Object} - The <tt> node and its attributes
+ */
+function parseDocument(xmlContent) {
+  const tt = findChild(parser.parse(xmlContent), "tt");
+
+  if (!tt) {
+    throw new Error("Not a TTML document: missing <tt> root element");
+  }
+
+  return { tt, attributes: nodeAttributes(tt) };
+}
+
+/**
+ * Extract subtitle entries from a parsed TTML document
+ * @param {Object} parsed - { tt, attributes } from parseDocument
+ * @param {string} [language] - Language attached to every subtitle, overriding xml:lang
+ * @returns {Array} - Array of subtitle objects with start/end in milliseconds
+ */
+function documentSubtitles(parsed, language) {
+  const { tt, attributes } = parsed;
+  const body = findChild(tt[nodeName(tt)], "body");
+  if (!body) return [];
+
+  const params = getTimingParameters(attributes);
+  const styling = extractStyles(tt);
+  const regions = extractRegions(tt, styling);
+  const bodyAttributes = nodeAttributes(body);
+  const bodyScope = {
+    ...resolveInterval(bodyAttributes, { begin: 0, end: Infinity }, params),
+    region: bodyAttributes.region,
+    language: scopeLanguage(bodyAttributes, scopeLanguage(attributes)),
+    style: styleProperties(bodyAttributes, styling.styles),
+  };
+
+  return collectParagraphs(
+    body[nodeName(body)],
+    bodyScope,
+    params,
+    styling.styles
+  ).map(
+    ({ node, interval, region, language: documentLanguage, style: scope }) => {
+      const paragraph = nodeAttributes(node);
+
+      // Content inherits from <initial>, then its region, then its ancestors
+      const { displayAlign, ...style } = {
+        ...styling.initial,
+        ...(regions[region] ? regions[region].style : {}),
+        ...scope,
+      };
+      const pieces = normalizeText(
+        flattenContent(node[nodeName(node)], style, styling.styles)
+      ).map((piece) =>
+        // Colour is only kept where it differs from the default text colour
+        piece.color === styling.initial.color
+          ? { ...piece, color: undefined }
+          : piece
+      );
+
+      if (interval.end === Infinity) {
+        throw new Error(
+          `Subtitle ${paragraph["xml:id"] || ""} has no resolvable end time`
+        );
+      }
+
+      const subtitle = {
+        id: paragraph["xml:id"],
+        start: Math.round(interval.begin),
+        end: Math.round(interval.end),
+        region,
+        displayAlign: regions[region] ? regions[region].displayAlign : "after",
+        style: paragraph.style,
+        text: pieces.map((piece) => piece.text).join(""),
+      };
+
+      const spans = buildSpans(pieces);
+      if (spans) {
+        subtitle.spans = spans;
+      }
+
+      if (language || documentLanguage) {
+        subtitle.language = language || documentLanguage;
+      }
+
+      return subtitle;
+    }
+  );
+}
+
+/**
+ * Read the header of a parsed TTML document, so it can be written back
+ * @param {Object} parsed - { tt, attributes } from parseDocument
+ * @returns {Object} - { attributes, metadata, styling, regions }: the attributes
+ *   of <tt>, the <head> elements other than <styling> and <layout>, the
+ *   elements of <styling> and the <region>s of <layout>, as parsed nodes
+ */
+function documentHeader(parsed) {
+  const { tt, attributes } = parsed;
+  const elements = (node) =>
+    node
+      ? node[nodeName(node)].filter((child) => {
+          const tag = nodeName(child);
+          return tag && tag !== "#text";
+        })
+      : [];
+  const head = elements(findChild(tt[nodeName(tt)], "head"));
+  const named = (name) =>
+    head.filter((child) => localName(nodeName(child)) === name);
+
+  return {
+    attributes,
+    metadata: head.filter(
+      (child) => !["styling", "layout"].includes(localName(nodeName(child)))
+    ),
+    styling: named("styling").flatMap(elements),
+    regions: named("layout")
+      .flatMap(elements)
+      .filter((child) => localName(nodeName(child)) === "region"),
+  };
+}
+
+/**
+ * Extract subtitle entries from TTML content
+ * @param {string} xmlContent - The XML content as a string
+ * @param {string} [language] - Language attached to every subtitle, overriding xml:lang
+ * @returns {Array} - Array of subtitle objects with start/end in milliseconds
+ */
+function extractSubtitles(xmlContent, language) {
+  return documentSubtitles(parseDocument(xmlContent), language);
+}
+
+/**
+ * Read the header of TTML content, so it can be written back
+ * @param {string} xmlContent - The XML content as a string
+ * @returns {Object} - The header (see documentHeader)
+ */
+function extractHeader(xmlContent) {
+  return documentHeader(parseDocument(xmlContent));
+}
+
+/**
+ * Read the subtitles and the header of TTML content, parsing it once
+ * @param {string} xmlContent - The XML content as a string
+ * @param {string} [language] - Language attached to every subtitle, overriding xml:lang
+ * @returns {Object} - { subtitles, header } (see extractSubtitles and extractHeader)
+ */
+function readTTML(xmlContent, language) {
+  const parsed = parseDocument(xmlContent);
+  return {
+    subtitles: documentSubtitles(parsed, language),
+    header: documentHeader(parsed),
+  };
+}
+
+/**
+ * Escape text for TTML content and attribute values
+ * @param {string} text - The text
+ * @returns {string} - The escaped text
+ */
+function escapeTTMLText(text) {
+  return String(text)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
+/**
+ * Format attributes for a TTML start tag, leaving out unset ones
+ * @param {Object} attributes - Map of attribute name to value
+ * @returns {string} - The attributes, each preceded by a space
+ */
+function formatTTMLAttributes(attributes) {
+  return Object.keys(attributes)
+    .filter((name) => attributes[name] !== undefined)
+    .map((name) => ` ${name}="${escapeTTMLText(attributes[name])}"`)
+    .join("");
+}
+
+/**
+ * Write a parsed element, such as a header element from extractHeader, as XML
+ * @param {Object} node - A node parsed in preserveOrder mode
+ * @returns {string} - The element
+ */
+function formatTTMLNode(node) {
+  return builder.build([node]);
+}
+
+/**
+ * Format milliseconds as a TTML time expression
+ * @param {number} milliseconds - Time in milliseconds
+ * @param {number} [tickRate] - Ticks per second; a clock time is written without one
+ * @returns {string} - Time in ticks (e.g., "140140000t") or clock time (e.g., "00:00:14.014")
+ */
+function formatTTMLTime(milliseconds, tickRate) {
+  return tickRate
+    ? `${Math.round((milliseconds * tickRate) / 1000)}t`
+    : formatSRTTime(milliseconds).replace(",", ".");
+}
+
+/**
+ * Write a region for an on-screen placement
+ * @param {string} id - The region id
+ * @param {string} placement - "top", "middle" or "bottom"
+ * @param {string} [style] - Id of a style the region applies to its content
+ * @returns {string} - The <region> element
+ */
+function formatTTMLRegion(id, placement, style) {
+  const area = TTML_REGION_AREAS[placement] || TTML_REGION_AREAS.bottom;
+  return `<region${formatTTMLAttributes({
+    "xml:id": id,
+    "tts:origin": area.origin,
+    "tts:extent": area.extent,
+    "tts:displayAlign": area.displayAlign,
+    style,
+  })}/>`;
+}
+
+/**
+ * Write a subtitle as a TTML paragraph
+ * Italic, bold and coloured text is written as <span>s with tts: attributes.
+ * @param {Object} subtitle - The subtitle
+ * @param {Object} attributes - The paragraph's xml:id, region and style
+ * @param {number} [tickRate] - Ticks per second of the document; clock times without one
+ * @returns {string} - The <p> element
+ */
+function formatTTMLParagraph(subtitle, attributes, tickRate) {
+  const content = (subtitle.spans || [{ text: subtitle.text }])
+    .map((span) => {
+      const text = escapeTTMLText(span.text).replace(/\n/g, "<br/>");
+      const style = formatTTMLAttributes({
+        "tts:fontStyle": span.italic ? "italic" : undefined,
+        "tts:fontWeight": span.bold ? "bold" : undefined,
+        "tts:color": span.color,
+      });
+      return style ? `<span${style}>${text}</span>` : text;
+    })
+    .join("");
+
+  return `<p${formatTTMLAttributes({
+    "xml:id": attributes["xml:id"],
+    begin: formatTTMLTime(subtitle.start, tickRate),
+    end: formatTTMLTime(subtitle.end, tickRate),
+    region: attributes.region,
+    style: attributes.style,
+  })}>${content}</p>`;
+}
+
+module.exports = {
+  TTML_NAMESPACES,
+  IMSC_TEXT_PROFILE,
+  DEFAULT_TICK_RATE,
+  parser,
+  parseDocument,
+  extractSubtitles,
+  extractHeader,
+  readTTML,
+  extractRegions,
+  extractStyles,
+  findChild,
+  nodeName,
+  nodeAttributes,
+  localName,
+  formatTTMLAttributes,
+  formatTTMLNode,
+  formatTTMLRegion,
+  formatTTMLParagraph,
+};
@@ -0,0 +1,85 @@
+/**
+ * Helpers for the WebVTT format.
+ *
+ * WebVTT is SRT with a "WEBVTT" header, a "." before the milliseconds and
+ * optional cue settings. The only setting written is "line", which places a
+ * cue at the top, middle or bottom of the screen.
+ */
+
+const { formatSRTTime } = require("./time");
+
+const VTT_HEADER = "WEBVTT\n\n";
+
+// VTT cue settings for each on-screen placement. Bottom is the WebVTT
+// default, but it is written out so it can override a track's own placement.
+const PLACEMENT_SETTINGS = {
+  top: "line:0",
+  middle: "line:50%",
+  bottom: "line:-1",
+};
+
+/**
+ * Format milliseconds as a WebVTT timestamp (HH:MM:SS.mmm)
+ * @param {number} milliseconds - Time in milliseconds
+ * @returns {string} - Time in VTT format (e.g., "00:00:14.014")
+ */
+function formatVTTTime(milliseconds) {
+  return formatSRTTime(milliseconds).replace(",", ".");
+}
+
+/**
+ * Map a TTML displayAlign value to an on-screen placement
+ * @param {string} displayAlign - "before", "center" or "after"
+ * @returns {string} - "top", "middle" or "bottom"
+ */
+function placementFromDisplayAlign(displayAlign) {
+  if (displayAlign === "before") return "top";
+  if (displayAlign === "center") return "middle";
+  return "bottom";
+}
+
+/**
+ * Escape subtitle text for a WebVTT cue payload
+ * @param {string} text - The subtitle text
+ * @returns {string} - The escaped text
+ */
+function escapeVTTText(text) {
+  return text
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;");
+}
+
+/**
+ * Format a single WebVTT cue
+ * @param {number} index - The cue number, used as the cue identifier
+ * @param {Object} cue - Object with start, end (milliseconds) and text
+ * @param {string} [placement] - "top", "middle" or "bottom"; omitted when unset
+ * @returns {string} - The cue block, including the trailing blank line
+ */
+function formatVTTCue(index, cue, placement) {
+  const settings = PLACEMENT_SETTINGS[placement];
+  let block = `${index}\n`;
+  block += `${formatVTTTime(cue.start)} --> ${formatVTTTime(cue.end)}`;
+  block += settings ? ` ${settings}\n` : "\n";
+  block += `${escapeVTTText(cue.text)}\n\n`;
+  return block;
+}
+
+/**
+ * Format the WebVTT header, with a Language line when the language is known
+ * @param {string} [language] - Language tag of the track
+ * @returns {string} - The header followed by a blank line
+ */
+function formatVTTHeader(language) {
+  return language ? `WEBVTT\nLanguage: ${language}\n\n` : VTT_HEADER;
+}
+
+module.exports = {
+  VTT_HEADER,
+  PLACEMENTS: Object.keys(PLACEMENT_SETTINGS),
+  formatVTTHeader,
+  formatVTTTime,
+  formatVTTCue,
+  placementFromDisplayAlign,
+};
@@ -0,0 +1,711 @@
+/**
+ * Writers that turn subtitle documents into SRT, TXT, WebVTT, ASS, HTML or
+ * TTML text.
+ *
+ * A document with one track is written as a plain subtitle file. A document
+ * with several tracks is written as a combined file, in one of three modes:
+ * timeline (every cue sorted by time), paired (cues aligned across tracks) or
+ * merged (one cue per time segment, two tracks only).
+ */
+
+const path = require("path");
+const { formatSRTTime } = require("./time");
+const {
+  VTT_HEADER,
+  formatVTTHeader,
+  formatVTTCue,
+  placementFromDisplayAlign,
+} = require("./vtt");
+const {
+  DEFAULT_STYLE,
+  defaultTrackStyle,
+  formatASSHeader,
+  formatASSDialogue,
+  trackStyleName,
+} = require("./ass");
+const { alignTracks } = require("./align");
+const { mergeSubtitles } = require("./merge");
+const { languageName } = require("./language");
+const { formatSRTMarkup } = require("./styles");
+const { escapeHTML, formatHTMLText, formatHTMLPage } = require("./html");
+const {
+  TTML_NAMESPACES,
+  IMSC_TEXT_PROFILE,
+  DEFAULT_TICK_RATE,
+  nodeName,
+  nodeAttributes,
+  localName,
+  formatTTMLAttributes,
+  formatTTMLNode,
+  formatTTMLRegion,
+  formatTTMLParagraph,
+} = require("./ttml");
+
+// Placement of each track's region in combined TTML unless positions are given
+const TTML_TRACK_POSITIONS = ["bottom", "top", "middle"];
+
+// Placement properties of <initial> that the region of each track sets itself
+const REGION_PROPERTIES = [
+  "@_tts:origin",
+  "@_tts:extent",
+  "@_tts:displayAlign",
+];
+
+// SRT override tags for cues that are not at the bottom of the screen
+const SRT_PLACEMENT_TAGS = {
+  top: "{\\an8}",
+  middle: "{\\an5}",
+};
+
+/**
+ * Merge the subtitles of all tracks into one list sorted by start time
+ * Subtitles starting at the same time keep the track order.
+ * @param {Array} tracks - Tracks of a document
+ * @returns {Array} - Subtitle objects with their language and track index
+ */
+function timelineSubtitles(tracks) {
+  return tracks
+    .flatMap((track, index) =>
+      track.subtitles.map((sub) => ({
+        ...sub,
+        language: sub.language || track.language,
+        track: index,
+      }))
+    )
+    .sort((a, b) => a.start - b.start);
+}
+
+/**
+ * Get the text of a merged segment, stacked in the given order
+ * @param {Object} segment - A segment from mergeSubtitles
+ * @param {Array} [order] - Track numbers from top to bottom, e.g. [2, 1]
+ * @returns {string} - The stacked text
+ */
+function mergedText(segment, order = [1, 2]) {
+  return order
+    .map((track) => segment[`text${track}`])
+    .filter(Boolean)
+    .join("\n");
+}
+
+/**
+ * Build the groups of a paired or merged combination
+ * Each group has the timing shared by its languages, the text of each track
+ * (in track order), the combined text and, in paired mode, the subtitles of
+ * each track and the placement of its first subtitle.
+ * @param {Array} tracks - Tracks of a document
+ * @param {string} mode - 'paired' or 'merged'
+ * @param {Object} options - Combine options (reference, order, snap)
+ * @returns {Array} - Array of { start, end, texts, text, subtitles, placement } objects
+ */
+function combinedGroups(tracks, mode, options) {
+  const trackSubtitles = tracks.map((track) => track.subtitles);
+
+  if (mode === "merged") {
+    if (tracks.length !== 2) {
+      throw new Error("Merged mode combines exactly two subtitle files");
+    }
+
+    return mergeSubtitles(trackSubtitles[0], trackSubtitles[1], options).map(
+      (segment) => ({
+        start: segment.start,
+        end: segment.end,
+        texts: [segment.text1, segment.text2],
+        text: mergedText(segment, options.order),
+      })
+    );
+  }
+
+  return alignTracks(trackSubtitles, options).map((group) => ({
+    start: group.start,
+    end: group.end,
+    texts: group.texts,
+    text: group.texts.filter(Boolean).join("\n"),
+    subtitles: group.subtitles,
+    placement: placementFromDisplayAlign(
+      group.subtitles.find((cues) => cues.length)[0].displayAlign
+    ),
+  }));
+}
+
+/**
+ * Get the cues of a document as plain { start, end, text } objects
+ * Used by the formats that cannot place or style languages separately.
+ * @param {Object} document - The subtitle document
+ * @param {Object} options - Write options
+ * @returns {Array} - The cues in output order
+ */
+function textCues(document, options) {
+  const { tracks } = document;
+  const { mode } = options;
+
+  if (tracks.length === 1) {
+    return tracks[0].subtitles;
+  }
+  if (mode === "paired" || mode === "merged") {
+    return combinedGroups(tracks, mode, options);
+  }
+
+  return timelineSubtitles(tracks).map((subtitle) => ({
+    ...subtitle,
+    // Add a language label if requested
+    text:
+      options.labels && subtitle.language
+        ? `[${languageName(subtitle.language)}] ${subtitle.text}`
+        : subtitle.text,
+  }));
+}
+
+/**
+ * Replace the text of styled subtitles with SRT markup
+ * @param {Object} document - The subtitle document
+ * @returns {Object} - The document with <i>, <b> and <font color> tags in its text
+ */
+function markupDocument(document) {
+  return {
+    ...document,
+    tracks: document.tracks.map((track) => ({
+      ...track,
+      subtitles: track.subtitles.map((subtitle) =>
+        subtitle.spans
+          ? { ...subtitle, text: formatSRTMarkup(subtitle.spans) }
+          : subtitle
+      ),
+    })),
+  };
+}
+
+/**
+ * Write a document in SRT format
+ * Italic, bold and coloured text is written with <i>, <b> and <font color>
+ * tags, and cues at the top or middle of the screen start with {\an8} or
+ * {\an5}, unless plain output is asked for.
+ * @param {Object} document - The subtitle document
+ * @param {Object} [options] - Write options
+ * @param {string} [options.mode] - Combination mode of a multi-track document (default: "timeline")
+ * @param {boolean} [options.labels] - Timeline mode: prefix each subtitle with the name of its language
+ * @param {boolean} [options.plain] - Leave out style and placement tags
+ * @returns {string} - The SRT content
+ */
+function formatSRT(document, options = {}) {
+  let srtContent = "";
+  const source = options.plain ? document : markupDocument(document);
+
+  textCues(source, options).forEach((cue, index) => {
+    const placement =
+      cue.placement || placementFromDisplayAlign(cue.displayAlign);
+    const tag = options.plain ? "" : SRT_PLACEMENT_TAGS[placement] || "";
+
+    // Format SRT entry
+    srtContent += `${index + 1}\n`;
+    srtContent += `${formatSRTTime(cue.start)} --> ${formatSRTTime(cue.end)}\n`;
+    srtContent += `${tag}${cue.text}\n\n`;
+  });
+
+  return srtContent;
+}
+
+/**
+ * Write a document in TXT format, one block of plain text per cue
+ * @param {Object} document - The subtitle document
+ * @param {Object} [options] - Write options, as for formatSRT
+ * @returns {string} - The TXT content
+ */
+function formatTXT(document, options = {}) {
+  let txtContent = "";
+
+  textCues(document, options).forEach((cue) => {
+    txtContent += `${cue.text}\n\n`;
+  });
+
+  return txtContent;
+}
+
+/**
+ * Write a document in WebVTT format
+ * Cues in top or middle TTML regions keep their placement via cue settings.
+ * In paired and merged modes with positions, each language is written as its
+ * own cue (sharing the group's timing) so the languages can sit at different
+ * positions.
+ * @param {Object} document - The subtitle document
+ * @param {Object} [options] - Write options
+ * @param {string} [options.mode] - Combination mode of a multi-track document (default: "timeline")
+ * @param {Array} [options.positions] - Placement for each track, e.g. ["bottom", "top"]
+ * @returns {string} - The VTT content
+ */
+function formatVTT(document, options = {}) {
+  const { tracks } = document;
+  const { mode, positions } = options;
+
+  if (tracks.length === 1) {
+    let vttContent = formatVTTHeader(tracks[0].language);
+
+    tracks[0].subtitles.forEach((subtitle, index) => {
+      const placement = placementFromDisplayAlign(subtitle.displayAlign);
+      vttContent += formatVTTCue(
+        index + 1,
+        subtitle,
+        placement === "bottom" ? undefined : placement
+      );
+    });
+    return vttContent;
+  }
+
+  let vttContent = VTT_HEADER;
+
+  if (mode !== "paired" && mode !== "merged") {
+    timelineSubtitles(tracks).forEach((subtitle, index) => {
+      // Subtitles at the bottom, where players put cues anyway, get no setting
+      const placement =
+        (positions && positions[subtitle.track]) ||
+        placementFromDisplayAlign(subtitle.displayAlign);
+      vttContent += formatVTTCue(
+        index + 1,
+        subtitle,
+        placement === "bottom" ? undefined : placement
+      );
+    });
+    return vttContent;
+  }
+
+  let index = 1;
+  combinedGroups(tracks, mode, options).forEach((group) => {
+    const timing = { start: group.start, end: group.end };
+
+    if (positions) {
+      group.texts.forEach((text, i) => {
+        if (text) {
+          vttContent += formatVTTCue(
+            index++,
+            { ...timing, text },
+            positions[i]
+          );
+        }
+      });
+    } else {
+      vttContent += formatVTTCue(
+        index++,
+        { ...timing, text: group.text },
+        group.placement
+      );
+    }
+  });
+
+  return vttContent;
+}
+
+/**
+ * Write a document in ASS format
+ * A single track uses one default style, with {\an} overrides for cues in top
+ * or middle TTML regions. In a combined file each language gets its own style
+ * and layer, so all can be shown at once without colliding; in paired and
+ * merged modes every language takes the timing of its group.
+ * @param {Object} document - The subtitle document
+ * @param {Object} [options] - Write options
+ * @param {string} [options.mode] - Combination mode of a multi-track document (default: "timeline")
+ * @param {Array} [options.positions] - Placement for each track, e.g. ["bottom", "top"]
+ * @param {Array} [options.styles] - Style overrides for each track (font, size, color, margin, ...)
+ * @returns {string} - The ASS content
+ */
+function formatASS(document, options = {}) {
+  const { tracks } = document;
+  const { mode, positions = [], styles = [] } = options;
+
+  if (tracks.length === 1) {
+    let assContent = formatASSHeader([
+      { name: "Default", style: DEFAULT_STYLE },
+    ]);
+
+    tracks[0].subtitles.forEach((subtitle) => {
+      const placement = placementFromDisplayAlign(subtitle.displayAlign);
+      assContent += formatASSDialogue(
+        subtitle,
+        "Default",
+        0,
+        placement === "bottom" ? undefined : placement
+      );
+    });
+    return assContent;
+  }
+
+  // One style per language, from the defaults, positions and overrides
+  const trackStyles = [];
+  tracks.forEach((track, i) => {
+    const position = positions[i] ? { position: positions[i] } : {};
+    trackStyles.push({
+      name: trackStyleName(
+        track.language,
+        i,
+        trackStyles.map((trackStyle) => trackStyle.name)
+      ),
+      style: { ...defaultTrackStyle(i), ...position, ...styles[i] },
+    });
+  });
+  const styleNames = trackStyles.map((trackStyle) => trackStyle.name);
+
+  let assContent = formatASSHeader(trackStyles);
+
+  if (mode === "paired" || mode === "merged") {
+    combinedGroups(tracks, mode, options).forEach((group) => {
+      const timing = { start: group.start, end: group.end };
+
+      group.texts.forEach((text, i) => {
+        if (text) {
+          assContent += formatASSDialogue(
+            { ...timing, text },
+            styleNames[i],
+            i
+          );
+        }
+      });
+    });
+  } else {
+    tracks.forEach((track, i) => {
+      track.subtitles.forEach((subtitle) => {
+        assContent += formatASSDialogue(subtitle, styleNames[i], i);
+      });
+    });
+  }
+
+  return assContent;
+}
+
+/**
+ * Write a document as a self-contained HTML transcript
+ * A single track is one column of lines. Several tracks are shown side by
+ * side, one column per language, aligned as in paired mode (or cut into
+ * segments in merged mode). Italic, bold and coloured text keeps its style.
+ * @param {Object} document - The subtitle document
+ * @param {Object} [options] - Write options
+ * @param {string} [options.mode] - "merged" for merged segments; other modes are aligned as in paired mode
+ * @param {string} [options.title] - Title of the page (default: the names of the source files)
+ * @returns {string} - The HTML content
+ */
+function formatHTML(document, options = {}) {
+  const { tracks } = document;
+  const sources = tracks
+    .filter((track) => track.source)
+    .map((track) => path.basename(track.source));
+  const title = options.title || sources.join(" / ") || "Transcript";
+  const columns = tracks.map((track, i) => ({
+    language: track.language,
+    name: languageName(track.language) || `Track ${i + 1}`,
+  }));
+
+  let rows;
+  if (tracks.length === 1) {
+    rows = tracks[0].subtitles.map((subtitle) => ({
+      start: subtitle.start,
+      end: subtitle.end,
+      cells: [formatHTMLText(subtitle.text, subtitle.spans)],
+    }));
+  } else {
+    const mode = options.mode === "merged" ? "merged" : "paired";
+    rows = combinedGroups(tracks, mode, options).map((group) => ({
+      start: group.start,
+      end: group.end,
+      cells: group.subtitles
+        ? group.subtitles.map((cues) =>
+            cues.map((cue) => formatHTMLText(cue.text, cue.spans)).join("<br>")
+          )
+        : group.texts.map((text) =>
+            escapeHTML(text || "").replace(/\n/g, "<br>")
+          ),
+    }));
+  }
+
+  return formatHTMLPage({ title, columns, rows });
+}
+
+/**
+ * Get a name that is not taken yet, adding a number when needed
+ * @param {string} base - The preferred name
+ * @param {Set} taken - Names in use; the returned name is added
+ * @returns {string} - The unique name
+ */
+function uniqueName(base, taken) {
+  let name = base;
+  let suffix = 2;
+  while (taken.has(name)) {
+    name = `${base}-${suffix++}`;
+  }
+  taken.add(name);
+  return name;
+}
+
+/**
+ * Get a paragraph id that is a valid xml:id and not taken yet
+ * @param {string} [id] - The subtitle's id
+ * @param {number} index - The subtitle's position, used when the id cannot be kept
+ * @param {string} prefix - Prefix of the id, e.g. "" or "ko-"
+ * @param {Set} taken - Ids in use
+ * @returns {string} - The paragraph id
+ */
+function paragraphId(id, index, prefix, taken) {
+  const valid = id !== undefined && /^[A-Za-z_][\w.-]*$/.test(String(id));
+  return uniqueName(`${prefix}${valid ? id : `subtitle${index + 1}`}`, taken);
+}
+
+/**
+ * Map a paragraph's style references to the ids written, dropping unknown ones
+ * @param {string} [value] - The paragraph's style attribute, e.g. "style0 style1"
+ * @param {Object} ids - Map of declared style id to the id it is written with
+ * @returns {string|undefined} - The style attribute, or undefined when nothing is left
+ */
+function styleReference(value, ids) {
+  const references = (value || "")
+    .split(/\s+/)
+    .filter((id) => ids[id])
+    .map((id) => ids[id]);
+  return references.length ? references.join(" ") : undefined;
+}
+
+/**
+ * Write a document in TTML (IMSC 1.1 Text Profile)
+ * Times are written in ticks of the sources' ttp:tickRate, or as clock times
+ * when the sources declare different tick rates, and every track keeps its
+ * own cue times. A single track read from TTML keeps its header: the
+ * attributes of <tt>, metadata, styling and regions. In a combined file
+ * every track gets its own <div> and region (the first at the bottom, the
+ * second at the top, ...); its styles are carried over, renamed where ids
+ * clash, and its <initial> styles become a style of its region. Cues placed
+ * elsewhere than most cues of their track keep a region of their own.
+ * @param {Object} document - The subtitle document
+ * @param {Object} [options] - Write options
+ * @param {Array} [options.positions] - Placement of each track's region, e.g. ["bottom", "top"]
+ * @returns {string} - The TTML content
+ */
+function formatTTML(document, options = {}) {
+  const { tracks } = document;
+  const { positions = [] } = options;
+  const headers = tracks.map((track) =>
+    track.header && track.header.format === "ttml" ? track.header : undefined
+  );
+  const sources = headers.filter(Boolean);
+
+  // A file has one tick rate, so no source is converted to another's rate:
+  // sources that declare different ones are written with clock times
+  const tickRates = [
+    ...new Set(
+      sources
+        .filter((header) => header.attributes["ttp:tickRate"])
+        .map((header) => Number(header.attributes["ttp:tickRate"]))
+    ),
+  ];
+  const tickRate =
+    tickRates.length > 1 ? undefined : tickRates[0] || DEFAULT_TICK_RATE;
+
+  // The first source's attributes win; the others add their namespaces
+  const attributes = Object.assign(
+    {},
+    ...[...sources].reverse().map((header) => header.attributes)
+  );
+  Object.keys(TTML_NAMESPACES).forEach((name) => {
+    if (!attributes[name]) attributes[name] = TTML_NAMESPACES[name];
+  });
+  Object.assign(attributes, {
+    "ttp:contentProfiles":
+      attributes["ttp:contentProfiles"] || IMSC_TEXT_PROFILE,
+    "ttp:tickRate": tickRate && String(tickRate),
+    "ttp:timeBase": "media",
+    "xml:lang": tracks[0].language || "",
+  });
+
+  const metadata = headers.flatMap((header) => (header ? header.metadata : []));
+  const styling = [];
+  const regions = [];
+  const divs = [];
+  const elementId = (node) => nodeAttributes(node)["xml:id"];
+
+  if (tracks.length === 1) {
+    const [track] = tracks;
+    const header = headers[0] || {
+      styling: [{ initial: [], ":@": { "@_tts:textAlign": "center" } }],
+      regions: [],
+    };
+    const regionIds = header.regions.map(elementId);
+    const styleIds = {};
+    header.styling.map(elementId).forEach((id) => {
+      if (id) styleIds[id] = id;
+    });
+    const placements = new Set();
+    const ids = new Set();
+
+    styling.push(...header.styling.map(formatTTMLNode));
+    const paragraphs = track.subtitles.map((subtitle, i) => {
+      let { region } = subtitle;
+      if (!regionIds.includes(region)) {
+        const placement = placementFromDisplayAlign(subtitle.displayAlign);
+        placements.add(placement);
+        region = `region-${placement}`;
+      }
+      return formatTTMLParagraph(
+        subtitle,
+        {
+          "xml:id": paragraphId(subtitle.id, i, "", ids),
+          region,
+          style: styleReference(subtitle.style, styleIds),
+        },
+        tickRate
+      );
+    });
+
+    regions.push(...header.regions.map(formatTTMLNode));
+    placements.forEach((placement) => {
+      regions.push(formatTTMLRegion(`region-${placement}`, placement));
+    });
+    divs.push({ attributes: {}, paragraphs });
+  } else {
+    const names = new Set();
+    const styleIds = new Set();
+    const regionIds = new Set();
+    const ids = new Set();
+
+    tracks.forEach((track, i) => {
+      const header = headers[i] || { styling: [], regions: [] };
+      const name = uniqueName(track.language || `track${i + 1}`, names);
+      const region = uniqueName(`region-${name}`, regionIds);
+
+      // Rename styles whose ids another track already uses
+      const renamed = {};
+      header.styling.forEach((node) => {
+        const id = elementId(node);
+        if (id) renamed[id] = uniqueName(id, styleIds);
+      });
+      const rename = (value) =>
+        value
+          .split(/\s+/)
+          .map((id) => renamed[id] || id)
+          .join(" ");
+
+      const initial = {};
+      header.styling.forEach((node) => {
+        const raw = { ...node[":@"] };
+        if (localName(nodeName(node)) === "initial") {
+          // The region's own placement wins, so only text styles are kept
+          Object.keys(raw)
+            .filter((key) => !REGION_PROPERTIES.includes(key))
+            .forEach((key) => {
+              initial[key] = raw[key];
+            });
+          return;
+        }
+        ["@_xml:id", "@_style"].forEach((key) => {
+          if (raw[key]) raw[key] = rename(raw[key]);
+        });
+        styling.push(formatTTMLNode({ ...node, ":@": raw }));
+      });
+      if (!headers[i]) initial["@_tts:textAlign"] = "center";
+      const initialStyle = uniqueName(`${region}-initial`, styleIds);
+      styling.push(
+        formatTTMLNode({
+          style: [],
+          ":@": { "@_xml:id": initialStyle, ...initial },
+        })
+      );
+
+      regions.push(
+        formatTTMLRegion(
+          region,
+          positions[i] || TTML_TRACK_POSITIONS[i] || "middle",
+          initialStyle
+        )
+      );
+      // Most cues go in the track's region; the others keep their own
+      // region from the source, or one for their placement, with the
+      // track's initial style
+      const sourceRegions = {};
+      header.regions.forEach((node) => {
+        sourceRegions[elementId(node)] = node;
+      });
+      const placeOf = (subtitle) =>
+        sourceRegions[subtitle.region]
+          ? subtitle.region
+          : placementFromDisplayAlign(subtitle.displayAlign);
+      const counts = {};
+      track.subtitles.forEach((subtitle) => {
+        const place = placeOf(subtitle);
+        counts[place] = (counts[place] || 0) + 1;
+      });
+      const usual = Object.keys(counts).sort(
+        (x, y) => counts[y] - counts[x]
+      )[0];
+      const ownRegions = {};
+      const ownRegion = (place) => {
+        if (ownRegions[place]) return ownRegions[place];
+
+        const node = sourceRegions[place];
+        if (node) {
+          const raw = { ...node[":@"] };
+          raw["@_xml:id"] = uniqueName(place, regionIds);
+          raw["@_style"] = [
+            initialStyle,
+            raw["@_style"] && rename(raw["@_style"]),
+          ]
+            .filter(Boolean)
+            .join(" ");
+          regions.push(formatTTMLNode({ ...node, ":@": raw }));
+          ownRegions[place] = raw["@_xml:id"];
+        } else {
+          ownRegions[place] = uniqueName(`${region}-${place}`, regionIds);
+          regions.push(
+            formatTTMLRegion(ownRegions[place], place, initialStyle)
+          );
+        }
+        return ownRegions[place];
+      };
+
+      divs.push({
+        attributes: { "xml:lang": track.language || "", region },
+        paragraphs: track.subtitles.map((subtitle, index) => {
+          const place = placeOf(subtitle);
+          return formatTTMLParagraph(
+            subtitle,
+            {
+              "xml:id": paragraphId(subtitle.id, index, `${name}-`, ids),
+              region: place === usual ? undefined : ownRegion(place),
+              style: styleReference(subtitle.style, renamed),
+            },
+            tickRate
+          );
+        }),
+      });
+    });
+  }
+
+  let ttmlContent = '<?xml version="1.0" encoding="utf-8"?>\n';
+  ttmlContent += `<tt${formatTTMLAttributes(attributes)}>\n`;
+  ttmlContent += "<head>\n";
+  metadata.forEach((node) => {
+    ttmlContent += `${formatTTMLNode(node)}\n`;
+  });
+  if (styling.length) {
+    ttmlContent += `<styling>\n${styling.join("\n")}\n</styling>\n`;
+  }
+  if (regions.length) {
+    ttmlContent += `<layout>\n${regions.join("\n")}\n</layout>\n`;
+  }
+  ttmlContent += "</head>\n";
+  ttmlContent += "<body>\n";
+  divs.forEach((div) => {
+    ttmlContent += `<div${formatTTMLAttributes(div.attributes)}>\n`;
+    div.paragraphs.forEach((paragraph) => {
+      ttmlContent += `${paragraph}\n`;
+    });
+    ttmlContent += "</div>\n";
+  });
+  ttmlContent += "</body>\n";
+  ttmlContent += "</tt>\n";
+
+  return ttmlContent;
+}
+
+module.exports = {
+  textCues,
+  formatSRT,
+  formatTXT,
+  formatVTT,
+  formatASS,
+  formatHTML,
+  formatTTML,
+};
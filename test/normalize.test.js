@@ -0,0 +1,23 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const { normalizeSubtitles } = require("../src/normalize");
+
+const normalize = (text) =>
+  normalizeSubtitles([{ id: 1, start: 0, end: 1000, text }], {
+    remove: ["speakers"],
+  }).map((subtitle) => subtitle.text);
+
+test("removes speaker labels", () => {
+  assert.deepStrictEqual(normalize("JOHN: Hello"), ["Hello"]);
+  assert.deepStrictEqual(normalize("男：你好"), ["你好"]);
+  assert.deepStrictEqual(normalize("（小明）你好"), ["你好"]);
+  assert.deepStrictEqual(normalize("- 小明：走吧\n- 好"), ["- 走吧\n- 好"]);
+});
+
+test("keeps full-width colons that do not end a speaker label", () => {
+  assert.deepStrictEqual(normalize("他說：\n我們走吧"), ["他說：\n我們走吧"]);
+  assert.deepStrictEqual(normalize("這個問題的答案是：沒有"), [
+    "這個問題的答案是：沒有",
+  ]);
+  assert.deepStrictEqual(normalize("We need: a plan"), ["We need: a plan"]);
+});